@@ -0,0 +1,22 @@
+import "dotenv/config";
+import prisma from "../src/config/prisma.js";
+import { RETENTION_DAYS, purgeDeleted } from "../src/utils/softDelete.js";
+
+/**
+ * Permanently delete posts, comments and users soft-deleted more than
+ * SOFT_DELETE_RETENTION_DAYS ago
+ */
+const run = async () => {
+  const purged = await purgeDeleted();
+  console.log(
+    `✅ Purged ${purged.users} user(s), ${purged.posts} post(s), ${purged.comments} comment(s) deleted over ${RETENTION_DAYS} day(s) ago`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Purge failed");
+    console.error("Error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,19 @@
+import "dotenv/config";
+import prisma from "../src/config/prisma.js";
+import { backfillSearchVectors } from "../src/utils/search.js";
+
+/**
+ * Fill Post.searchVector for posts created before full-text search existed
+ */
+const run = async () => {
+  const updated = await backfillSearchVectors();
+  console.log(`✅ Indexed ${updated} post(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Search reindex failed");
+    console.error("Error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -1,7 +1,7 @@
 import passport from 'passport';
 import googleOAuthPkg from 'passport-google-oauth20';
 const { Strategy: GoogleStrategy } = googleOAuthPkg;
-import prisma from './prisma.js';
+import prisma, { withDeleted } from './prisma.js';
 
 passport.serializeUser((user, done) => {
   done(null, user.id);
@@ -33,8 +33,9 @@ passport.use(
         const username = profile.displayName || `google_user_${googleId}`;
 
         // Check if user exists with this Google ID
+        // (deleted accounts included: the callback turns them away)
         let user = await prisma.user.findUnique({
-          where: { googleId },
+          where: { googleId, ...withDeleted },
         });
 
         if (user) {
@@ -45,7 +46,7 @@ passport.use(
         // Check if user exists with this email
         if (email) {
           user = await prisma.user.findUnique({
-            where: { email },
+            where: { email, ...withDeleted },
           });
 
           if (user) {
@@ -62,14 +63,14 @@ passport.use(
         // Generate unique username if needed
         let uniqueUsername = username.replace(/\s+/g, '_').toLowerCase();
         let existingUser = await prisma.user.findUnique({
-          where: { username: uniqueUsername },
+          where: { username: uniqueUsername, ...withDeleted },
         });
 
         let counter = 1;
         while (existingUser) {
           uniqueUsername = `${username.replace(/\s+/g, '_').toLowerCase()}_${counter}`;
           existingUser = await prisma.user.findUnique({
-            where: { username: uniqueUsername },
+            where: { username: uniqueUsername, ...withDeleted },
           });
           counter++;
         }
@@ -78,6 +79,8 @@ passport.use(
           data: {
             username: uniqueUsername,
             email,
+            // Google only returns addresses it has verified
+            emailVerifiedAt: email ? new Date() : null,
             googleId,
             password: null, // No password for OAuth users
           },
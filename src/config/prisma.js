@@ -11,7 +11,27 @@ const pool = new Pool({
 
 const adapter = new PrismaPg(pool);
 
-const prisma = new PrismaClient({
+// Models with deletedAt; see src/utils/softDelete.js
+const SOFT_DELETE_MODELS = ["User", "Post", "Comment"];
+
+const READ_OPERATIONS = [
+  "findUnique",
+  "findUniqueOrThrow",
+  "findFirst",
+  "findFirstOrThrow",
+  "findMany",
+  "count",
+  "aggregate",
+  "groupBy",
+];
+
+/**
+ * Spread into a where clause to include soft-deleted rows,
+ * e.g. prisma.user.findMany({ where: { id, ...withDeleted } })
+ */
+const withDeleted = { deletedAt: undefined };
+
+const client = new PrismaClient({
   adapter,
   log:
     process.env.NODE_ENV === "development"
@@ -19,4 +39,25 @@ const prisma = new PrismaClient({
       : ["error"],
 });
 
+// Reads skip soft-deleted rows unless the where clause filters on deletedAt
+// itself. Writes, relation filters, includes and raw SQL are not covered.
+const prisma = client.$extends({
+  query: {
+    $allModels: {
+      $allOperations: ({ model, operation, args, query }) => {
+        if (
+          !SOFT_DELETE_MODELS.includes(model) ||
+          !READ_OPERATIONS.includes(operation) ||
+          (args.where && "deletedAt" in args.where)
+        ) {
+          return query(args);
+        }
+
+        return query({ ...args, where: { ...args.where, deletedAt: null } });
+      },
+    },
+  },
+});
+
+export { withDeleted };
 export default prisma;
@@ -1,5 +1,7 @@
 import { generateAccessToken, generateRefreshToken } from '../utils/jwt.js';
 import prisma from '../config/prisma.js';
+import { getClientInfo } from '../utils/clientInfo.js';
+import { getActiveSuspension } from '../utils/suspensions.js';
 
 /**
  * Google OAuth callback handler
@@ -12,6 +14,14 @@ const googleCallback = async (req, res) => {
       return res.redirect(`${process.env.FRONTEND_URL}/login?error=authentication_failed`);
     }
 
+    if (user.deletedAt) {
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=account_deleted`);
+    }
+
+    if (await getActiveSuspension(user.id)) {
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=account_suspended`);
+    }
+
     // Generate tokens
     const accessToken = generateAccessToken(user.id);
     const refreshToken = generateRefreshToken(user.id);
@@ -25,6 +35,7 @@ const googleCallback = async (req, res) => {
         token: refreshToken,
         userId: user.id,
         expiresAt,
+        ...getClientInfo(req),
       },
     });
 
@@ -0,0 +1,57 @@
+import { pipeline } from 'stream/promises';
+import prisma from '../config/prisma.js';
+import { getStorage } from '../storage/index.js';
+import { verifyDownloadLink } from '../utils/dataExports.js';
+
+/**
+ * Download a data export through the signed link from DataExport.downloadUrl
+ * The signature is the only credential, so the link works without a session.
+ */
+const downloadExport = async (req, res) => {
+  const { id } = req.params;
+
+  if (!verifyDownloadLink(id, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+  }
+
+  try {
+    const dataExport = await prisma.dataExport.findUnique({
+      where: { id },
+      include: { user: { select: { deletedAt: true } } },
+    });
+
+    if (!dataExport || dataExport.status !== 'READY' || dataExport.user.deletedAt) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    const object = await getStorage().get(dataExport.storageKey);
+
+    if (!object) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="data-export-${date}.zip"`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (object.contentLength !== undefined) {
+      res.set('Content-Length', String(object.contentLength));
+    }
+
+    await pipeline(object.body, res);
+  } catch (error) {
+    console.error('Download export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to load export' });
+    } else {
+      res.destroy(error);
+    }
+  }
+};
+
+export {
+  downloadExport,
+};
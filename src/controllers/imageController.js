@@ -0,0 +1,60 @@
+import { pipeline } from 'stream/promises';
+import { getStorage, isStorageKey, getContentType } from '../storage/index.js';
+
+/**
+ * Serve a stored image
+ * Keys are never reused, so responses can be cached forever
+ */
+const serveImage = async (req, res) => {
+  const key = [].concat(req.params.key).join('/');
+
+  if (!isStorageKey(key)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  // The file name embeds a random UUID that changes on every upload
+  const etag = `"${key.split('/').pop().split('.')[0]}"`;
+
+  res.set({
+    'Content-Type': getContentType(key),
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    ETag: etag,
+    'X-Content-Type-Options': 'nosniff',
+  });
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  try {
+    const object = await getStorage().get(key);
+
+    if (!object) {
+      res.removeHeader('Cache-Control');
+      res.removeHeader('ETag');
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (object.contentLength !== undefined) {
+      res.set('Content-Length', String(object.contentLength));
+    }
+    if (object.lastModified) {
+      res.set('Last-Modified', object.lastModified.toUTCString());
+    }
+
+    await pipeline(object.body, res);
+  } catch (error) {
+    console.error('Serve image error:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Cache-Control');
+      res.removeHeader('ETag');
+      res.status(500).json({ error: 'Failed to load image' });
+    } else {
+      res.destroy(error);
+    }
+  }
+};
+
+export {
+  serveImage,
+};
@@ -0,0 +1,67 @@
+import { defaultFieldResolver, getNamedType, isScalarType } from "graphql";
+import { MapperKind, getDirective, mapSchema } from "@graphql-tools/utils";
+import { ValidationError } from "../../utils/errors.js";
+import { checkLength } from "../../utils/validation.js";
+
+/**
+ * Collect the checks for each argument of a field:
+ * - the rule of a validating scalar (Email, Username, ...)
+ * - @constraint(minLength, maxLength) on the argument
+ */
+const getArgumentRules = (schema, fieldConfig, directiveName) => {
+  return Object.entries(fieldConfig.args || {})
+    .map(([argName, argConfig]) => {
+      const namedType = getNamedType(argConfig.type);
+      const validate = isScalarType(namedType) ? namedType.extensions?.validate : undefined;
+      const constraint = getDirective(schema, argConfig, directiveName)?.[0];
+      return { argName, validate, constraint };
+    })
+    .filter(({ validate, constraint }) => validate || constraint);
+};
+
+const checkValue = (value, { validate, constraint }) => {
+  const values = Array.isArray(value) ? value : [value];
+
+  for (const item of values) {
+    if (item == null) continue;
+    const message = validate?.(item) ?? (constraint ? checkLength(item, constraint) : null);
+    if (message) return message;
+  }
+  return null;
+};
+
+/**
+ * Wrap every field that has validated arguments so invalid input is
+ * rejected with VALIDATION_FAILED and extensions.fields = { [arg]: message }
+ * before the resolver runs
+ */
+const constraintDirectiveTransformer = (schema, directiveName = "constraint") => {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
+      const rules = getArgumentRules(schema, fieldConfig, directiveName);
+      if (rules.length === 0) return fieldConfig;
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+
+      return {
+        ...fieldConfig,
+        resolve: (source, args, context, info) => {
+          const fields = {};
+
+          for (const rule of rules) {
+            const message = checkValue(args[rule.argName], rule);
+            if (message) fields[rule.argName] = message;
+          }
+
+          if (Object.keys(fields).length > 0) {
+            throw new ValidationError("Invalid input", fields);
+          }
+
+          return resolve(source, args, context, info);
+        },
+      };
+    },
+  });
+};
+
+export { constraintDirectiveTransformer };
@@ -0,0 +1,33 @@
+import { defaultFieldResolver } from "graphql";
+import { MapperKind, getDirective, mapSchema } from "@graphql-tools/utils";
+import { authorize, isPermission } from "../../utils/permissions.js";
+
+/**
+ * Wrap every field marked @requires(permission: "...") so it only resolves
+ * for users whose role grants the permission (UNAUTHENTICATED / FORBIDDEN
+ * otherwise). Unknown permission names fail when the schema is built.
+ */
+const requiresDirectiveTransformer = (schema, directiveName = "requires") => {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+      const permission = getDirective(schema, fieldConfig, directiveName)?.[0]?.permission;
+      if (!permission) return fieldConfig;
+
+      if (!isPermission(permission)) {
+        throw new Error(`Unknown permission "${permission}" on ${typeName}.${fieldName}`);
+      }
+
+      const { resolve = defaultFieldResolver } = fieldConfig;
+
+      return {
+        ...fieldConfig,
+        resolve: async (source, args, context, info) => {
+          await authorize(context, permission, undefined, `Missing permission: ${permission}`);
+          return resolve(source, args, context, info);
+        },
+      };
+    },
+  });
+};
+
+export { requiresDirectiveTransformer };
@@ -0,0 +1,65 @@
+import { ApolloServerErrorCode, unwrapResolverError } from "@apollo/server/errors";
+import pkg from "@prisma/client";
+import { AppError, ERROR_CODES } from "../utils/errors.js";
+
+const { Prisma } = pkg;
+
+/**
+ * Prisma known request errors that are really client mistakes
+ */
+const PRISMA_ERRORS = {
+  P2002: { code: ERROR_CODES.CONFLICT, message: "Resource already exists" },
+  P2025: { code: ERROR_CODES.NOT_FOUND, message: "Resource not found" },
+};
+
+/**
+ * Fields named by a unique constraint violation, if Prisma reports them
+ */
+const conflictFields = (error) => {
+  const target = error.meta?.target;
+  if (!Array.isArray(target)) return undefined;
+  return Object.fromEntries(target.map((field) => [field, "Already exists"]));
+};
+
+/**
+ * Apollo formatError hook
+ * Typed errors and Apollo's own request errors pass through; known Prisma
+ * errors are mapped to codes; anything else is hidden in production.
+ */
+const formatError = (formattedError, error) => {
+  const original = unwrapResolverError(error);
+
+  if (original instanceof AppError) {
+    return formattedError;
+  }
+
+  const prismaError = original instanceof Prisma.PrismaClientKnownRequestError
+    ? PRISMA_ERRORS[original.code]
+    : null;
+  if (prismaError) {
+    const fields = original.code === "P2002" ? conflictFields(original) : undefined;
+    return {
+      ...formattedError,
+      message: prismaError.message,
+      extensions: { code: prismaError.code, ...(fields ? { fields } : {}) },
+    };
+  }
+
+  if (
+    formattedError.extensions?.code !== ApolloServerErrorCode.INTERNAL_SERVER_ERROR ||
+    process.env.NODE_ENV !== "production"
+  ) {
+    return formattedError;
+  }
+
+  console.error("Unhandled GraphQL error:", original);
+
+  return {
+    message: "Internal server error",
+    locations: formattedError.locations,
+    path: formattedError.path,
+    extensions: { code: ApolloServerErrorCode.INTERNAL_SERVER_ERROR },
+  };
+};
+
+export { formatError };
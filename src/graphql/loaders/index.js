@@ -0,0 +1,259 @@
+import DataLoader from "dataloader";
+import pkg from "@prisma/client";
+import prisma, { withDeleted } from "../../config/prisma.js";
+import { activeSuspensionWhere } from "../../utils/suspensions.js";
+
+const { Prisma } = pkg;
+
+/**
+ * Map rows back onto the requested keys (DataLoader requires same order)
+ */
+const mapByKey = (keys, rows, key = "id") => {
+  const byKey = new Map(rows.map((row) => [row[key], row]));
+  return keys.map((k) => byKey.get(k) || null);
+};
+
+/**
+ * Group rows by a foreign key, preserving the query order inside each group
+ */
+const groupByKey = (keys, rows, key) => {
+  const groups = new Map(keys.map((k) => [k, []]));
+  for (const row of rows) {
+    groups.get(row[key])?.push(row);
+  }
+  return keys.map((k) => groups.get(k));
+};
+
+/**
+ * Create per-request loaders.
+ * A fresh set is built for every GraphQL request so cached rows never
+ * leak between users or outlive the request.
+ * Subscriptions keep one context for their whole lifetime, so they pass
+ * { cache: false } and only get batching.
+ */
+const createLoaders = (user, { cache = true } = {}) => {
+  const options = { cache };
+
+  // Deleted users too, so moderation views (reports, suspensions, the
+  // audit log) can still show who was involved
+  const userById = new DataLoader(async (ids) => {
+    const users = await prisma.user.findMany({
+      where: { id: { in: [...ids] }, ...withDeleted },
+    });
+    return mapByKey(ids, users);
+  }, options);
+
+  const postById = new DataLoader(async (ids) => {
+    const posts = await prisma.post.findMany({
+      where: { id: { in: [...ids] } },
+    });
+    return mapByKey(ids, posts);
+  }, options);
+
+  const commentById = new DataLoader(async (ids) => {
+    const comments = await prisma.comment.findMany({
+      where: { id: { in: [...ids] } },
+    });
+    return mapByKey(ids, comments);
+  }, options);
+
+  const boardById = new DataLoader(async (ids) => {
+    const boards = await prisma.board.findMany({
+      where: { id: { in: [...ids] } },
+    });
+    return mapByKey(ids, boards);
+  }, options);
+
+  const boardPostCount = new DataLoader(async (boardIds) => {
+    const groups = await prisma.savedPost.groupBy({
+      by: ["boardId"],
+      where: { boardId: { in: [...boardIds] }, post: { deletedAt: null } },
+      _count: { _all: true },
+    });
+    const counts = new Map(groups.map((g) => [g.boardId, g._count._all]));
+    return boardIds.map((id) => counts.get(id) || 0);
+  }, options);
+
+  const commentsByPostId = new DataLoader(async (postIds) => {
+    const comments = await prisma.comment.findMany({
+      where: { postId: { in: [...postIds] } },
+      orderBy: { createdAt: "desc" },
+    });
+    for (const comment of comments) {
+      commentById.prime(comment.id, comment);
+    }
+    return groupByKey(postIds, comments, "postId");
+  }, options);
+
+  const revisionsByCommentId = new DataLoader(async (commentIds) => {
+    const revisions = await prisma.commentRevision.findMany({
+      where: { commentId: { in: [...commentIds] } },
+      orderBy: { createdAt: "desc" },
+    });
+    return groupByKey(commentIds, revisions, "commentId");
+  }, options);
+
+  const replyCount = new DataLoader(async (commentIds) => {
+    const groups = await prisma.comment.groupBy({
+      by: ["parentId"],
+      where: { parentId: { in: [...commentIds] } },
+      _count: { _all: true },
+    });
+    const counts = new Map(groups.map((g) => [g.parentId, g._count._all]));
+    return commentIds.map((id) => counts.get(id) || 0);
+  }, options);
+
+  // First replies of many comments in one query, oldest first.
+  // One loader per page size; each fetches limit + 1 rows per parent so
+  // the caller can tell whether more replies exist.
+  const firstRepliesLoaders = new Map();
+  const firstReplies = (limit) => {
+    if (!firstRepliesLoaders.has(limit)) {
+      const loader = new DataLoader(async (parentIds) => {
+        const replies = await prisma.$queryRaw`
+          SELECT * FROM (
+            SELECT c.*, ROW_NUMBER() OVER (
+              PARTITION BY c."parentId" ORDER BY c."createdAt" ASC, c."id" ASC
+            ) AS "position"
+            FROM "Comment" c
+            WHERE c."parentId" IN (${Prisma.join(parentIds)})
+              AND c."deletedAt" IS NULL
+          ) r
+          WHERE r."position" <= ${limit + 1}
+          ORDER BY r."createdAt" ASC, r."id" ASC
+        `;
+        return groupByKey(parentIds, replies, "parentId");
+      }, options);
+      firstRepliesLoaders.set(limit, loader);
+    }
+    return firstRepliesLoaders.get(limit);
+  };
+
+  // isSaved checks for the current user: one IN query per request
+  const isPostSaved = new DataLoader(async (postIds) => {
+    if (!user?.id) return postIds.map(() => false);
+
+    const saved = await prisma.savedPost.findMany({
+      where: { userId: user.id, postId: { in: [...postIds] } },
+      select: { postId: true },
+    });
+    const savedIds = new Set(saved.map((s) => s.postId));
+    return postIds.map((id) => savedIds.has(id));
+  }, options);
+
+  const isCommentSaved = new DataLoader(async (commentIds) => {
+    if (!user?.id) return commentIds.map(() => false);
+
+    const saved = await prisma.savedComment.findMany({
+      where: { userId: user.id, commentId: { in: [...commentIds] } },
+      select: { commentId: true },
+    });
+    const savedIds = new Set(saved.map((s) => s.commentId));
+    return commentIds.map((id) => savedIds.has(id));
+  }, options);
+
+  const followerCount = new DataLoader(async (userIds) => {
+    const groups = await prisma.follow.groupBy({
+      by: ["followingId"],
+      where: { followingId: { in: [...userIds] }, follower: { deletedAt: null } },
+      _count: { _all: true },
+    });
+    const counts = new Map(groups.map((g) => [g.followingId, g._count._all]));
+    return userIds.map((id) => counts.get(id) || 0);
+  }, options);
+
+  const followingCount = new DataLoader(async (userIds) => {
+    const groups = await prisma.follow.groupBy({
+      by: ["followerId"],
+      where: { followerId: { in: [...userIds] }, following: { deletedAt: null } },
+      _count: { _all: true },
+    });
+    const counts = new Map(groups.map((g) => [g.followerId, g._count._all]));
+    return userIds.map((id) => counts.get(id) || 0);
+  }, options);
+
+  // Whether the current user follows each user
+  const isFollowing = new DataLoader(async (userIds) => {
+    if (!user?.id) return userIds.map(() => false);
+
+    const follows = await prisma.follow.findMany({
+      where: { followerId: user.id, followingId: { in: [...userIds] } },
+      select: { followingId: true },
+    });
+    const followedIds = new Set(follows.map((f) => f.followingId));
+    return userIds.map((id) => followedIds.has(id));
+  }, options);
+
+  // The current user's reaction type per post/comment, null when none
+  const myPostReaction = new DataLoader(async (postIds) => {
+    if (!user?.id) return postIds.map(() => null);
+
+    const reactions = await prisma.reaction.findMany({
+      where: { userId: user.id, postId: { in: [...postIds] } },
+      select: { postId: true, type: true },
+    });
+    const types = new Map(reactions.map((r) => [r.postId, r.type]));
+    return postIds.map((id) => types.get(id) || null);
+  }, options);
+
+  const myCommentReaction = new DataLoader(async (commentIds) => {
+    if (!user?.id) return commentIds.map(() => null);
+
+    const reactions = await prisma.reaction.findMany({
+      where: { userId: user.id, commentId: { in: [...commentIds] } },
+      select: { commentId: true, type: true },
+    });
+    const types = new Map(reactions.map((r) => [r.commentId, r.type]));
+    return commentIds.map((id) => types.get(id) || null);
+  }, options);
+
+  // The suspension in force per user, null when none
+  const activeSuspension = new DataLoader(async (userIds) => {
+    const suspensions = await prisma.suspension.findMany({
+      where: { userId: { in: [...userIds] }, ...activeSuspensionWhere() },
+      orderBy: { createdAt: "asc" },
+    });
+    // Later rows win, so each user maps to their newest suspension
+    return mapByKey(userIds, suspensions, "userId");
+  }, options);
+
+  // Open reports per post, comment or reported user
+  const openReportCount = (column, where = {}) => new DataLoader(async (ids) => {
+    const groups = await prisma.report.groupBy({
+      by: [column],
+      where: { ...where, [column]: { in: [...ids] }, status: "OPEN" },
+      _count: { _all: true },
+    });
+    const counts = new Map(groups.map((g) => [g[column], g._count._all]));
+    return ids.map((id) => counts.get(id) || 0);
+  }, options);
+
+  const postReportCount = openReportCount("postId");
+  const commentReportCount = openReportCount("commentId");
+  const userReportCount = openReportCount("targetUserId", { targetType: "USER" });
+
+  return {
+    userById,
+    postById,
+    commentById,
+    commentsByPostId,
+    boardById,
+    boardPostCount,
+    revisionsByCommentId,
+    replyCount,
+    firstReplies,
+    isPostSaved,
+    isCommentSaved,
+    myPostReaction,
+    myCommentReaction,
+    followerCount,
+    followingCount,
+    isFollowing,
+    postReportCount,
+    commentReportCount,
+    userReportCount,
+    activeSuspension,
+  };
+};
+
+export { createLoaders };
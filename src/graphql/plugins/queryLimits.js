@@ -0,0 +1,300 @@
+import {
+  GraphQLError,
+  Kind,
+  getNamedType,
+  getNullableType,
+  isListType,
+  isCompositeType,
+  isAbstractType,
+  getArgumentValues,
+  getOperationAST,
+  parse,
+  validate,
+} from "graphql";
+
+/**
+ * Extra cost for fields that are more expensive than a plain lookup
+ * Coordinates are "Type.field". Object fields default to 1, scalars to 0.
+ */
+const FIELD_COSTS = {
+  "Query.searchPosts": 5,
+  "Query.getPosts": 2,
+  "Query.getUserPosts": 2,
+  "Query.getComments": 2,
+  "Query.getAllComments": 2,
+  "Query.getSavedPosts": 2,
+  "Query.getSavedComments": 2,
+  "Query.users": 2,
+  "Query.homeFeed": 3,
+  "Query.postsByTag": 2,
+  "Query.trendingTags": 2,
+  "Query.moderationQueue": 2,
+  "Query.suspendedUsers": 2,
+  "Query.auditLog": 2,
+};
+
+/**
+ * Page size used as the multiplier for paginated fields
+ * default: when no first/last/limit is given, max: the resolver's own cap
+ */
+const PAGE_SIZES = {
+  "Query.getPosts": { default: 8, max: 8 },
+  "Query.searchPosts": { default: 8, max: 8 },
+  "Query.getUserPosts": { default: 8, max: 8 },
+  "Query.getSavedPosts": { default: 8, max: 8 },
+  "Query.getComments": { default: 20, max: 100 },
+  "Query.getAllComments": { default: 20, max: 100 },
+  "Query.getSavedComments": { default: 20, max: 100 },
+  "Query.users": { default: 20, max: 100 },
+  "Query.homeFeed": { default: 8, max: 8 },
+  "Query.postsByTag": { default: 8, max: 8 },
+  "Query.trendingTags": { default: 10, max: 50 },
+  "Query.notifications": { default: 20, max: 100 },
+  "Query.moderationQueue": { default: 20, max: 100 },
+  "Query.suspendedUsers": { default: 20, max: 100 },
+  "Query.auditLog": { default: 20, max: 100 },
+  "Board.savedPosts": { default: 8, max: 8 },
+  "Comment.replies": { default: 20, max: 100 },
+  "User.followers": { default: 20, max: 100 },
+  "User.following": { default: 20, max: 100 },
+};
+
+/**
+ * Assumed size of list fields that are not paginated
+ */
+const LIST_SIZES = {
+  "User.posts": 20,
+  "User.comments": 20,
+  "User.savedPosts": 20,
+  "Post.comments": 20,
+  "Comment.revisions": 20,
+  "User.boards": 20,
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Walk an operation and return { depth, cost }
+ */
+const analyzeOperation = ({ schema, operation, fragments, variables }) => {
+  const visitSelections = (selectionSet, parentType, depth, visitedFragments) => {
+    let cost = 0;
+    let maxDepth = depth;
+
+    for (const selection of selectionSet.selections) {
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const name = selection.name.value;
+        if (visitedFragments.has(name) || !fragments[name]) continue;
+        const fragment = fragments[name];
+        const type = schema.getType(fragment.typeCondition.name.value);
+        const result = visitSelections(
+          fragment.selectionSet,
+          type,
+          depth,
+          new Set([...visitedFragments, name])
+        );
+        cost += result.cost;
+        maxDepth = Math.max(maxDepth, result.depth);
+        continue;
+      }
+
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const type = selection.typeCondition
+          ? schema.getType(selection.typeCondition.name.value)
+          : parentType;
+        const result = visitSelections(selection.selectionSet, type, depth, visitedFragments);
+        cost += result.cost;
+        maxDepth = Math.max(maxDepth, result.depth);
+        continue;
+      }
+
+      const fieldName = selection.name.value;
+      if (fieldName.startsWith("__")) continue;
+
+      // Abstract parents have no field map of their own; cost what we can see
+      if (!parentType || isAbstractType(parentType)) continue;
+
+      const fieldDef = parentType.getFields()[fieldName];
+      if (!fieldDef) continue;
+
+      const coordinate = `${parentType.name}.${fieldName}`;
+      const namedType = getNamedType(fieldDef.type);
+      const composite = isCompositeType(namedType);
+
+      let fieldCost = FIELD_COSTS[coordinate] ?? (composite ? 1 : 0);
+      let multiplier = 1;
+
+      const args = getArgumentValues(fieldDef, selection, variables);
+      const requested = args.first ?? args.last ?? args.limit;
+      if (requested != null || PAGE_SIZES[coordinate]) {
+        const sizes = PAGE_SIZES[coordinate] || { default: DEFAULT_PAGE_SIZE };
+        multiplier = Math.max(Number(requested ?? sizes.default) || 0, 1);
+        if (sizes.max) multiplier = Math.min(multiplier, sizes.max);
+      } else if (isListType(getNullableType(fieldDef.type))) {
+        multiplier = LIST_SIZES[coordinate] ?? 1;
+      }
+
+      if (selection.selectionSet) {
+        const result = visitSelections(selection.selectionSet, namedType, depth + 1, visitedFragments);
+        fieldCost += multiplier * result.cost;
+        maxDepth = Math.max(maxDepth, result.depth);
+      } else {
+        maxDepth = Math.max(maxDepth, depth + 1);
+      }
+
+      cost += fieldCost;
+    }
+
+    return { cost, depth: maxDepth };
+  };
+
+  const rootType = schema.getRootType(operation.operation);
+  return visitSelections(operation.selectionSet, rootType, 0, new Set());
+};
+
+const readLimits = ({
+  maxDepth = Number(process.env.GRAPHQL_MAX_DEPTH) || 10,
+  maxCost = Number(process.env.GRAPHQL_MAX_COST) || 5000,
+} = {}) => ({ maxDepth, maxCost });
+
+/**
+ * Measure an operation against the limits
+ * @returns {object} { report, violation } - violation is { message, code }
+ *   for the first limit exceeded, null when within both
+ */
+const checkOperationLimits = ({ schema, document, operation, variables, maxDepth, maxCost }) => {
+  const fragments = {};
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    }
+  }
+
+  const { depth, cost } = analyzeOperation({
+    schema,
+    operation,
+    fragments,
+    variables: variables || {},
+  });
+
+  const report = { depth, cost, maxDepth, maxCost };
+
+  if (depth > maxDepth) {
+    return {
+      report,
+      violation: {
+        message: `Query depth ${depth} exceeds the maximum of ${maxDepth}`,
+        code: "QUERY_TOO_DEEP",
+      },
+    };
+  }
+
+  if (cost > maxCost) {
+    return {
+      report,
+      violation: {
+        message: `Query cost ${cost} exceeds the maximum of ${maxCost}`,
+        code: "QUERY_TOO_COMPLEX",
+      },
+    };
+  }
+
+  return { report, violation: null };
+};
+
+/**
+ * Apollo plugin rejecting operations deeper or costlier than the limits
+ * and reporting { depth, cost, maxDepth, maxCost } in extensions.cost
+ */
+const createQueryLimitsPlugin = (options) => {
+  const limits = readLimits(options);
+
+  return {
+    requestDidStart: async () => {
+      let report = null;
+
+      return {
+        didResolveOperation: async ({ schema, document, operation, request }) => {
+          const result = checkOperationLimits({
+            schema,
+            document,
+            operation,
+            variables: request.variables,
+            ...limits,
+          });
+
+          report = result.report;
+
+          if (result.violation) {
+            throw new GraphQLError(result.violation.message, {
+              extensions: { code: result.violation.code, http: { status: 400 } },
+            });
+          }
+        },
+
+        willSendResponse: async ({ response }) => {
+          if (!report || response.body.kind !== "single") return;
+
+          response.body.singleResult.extensions = {
+            ...response.body.singleResult.extensions,
+            cost: report,
+          };
+        },
+      };
+    },
+  };
+};
+
+/**
+ * graphql-ws onSubscribe hook applying the same limits to operations sent
+ * over WebSocket; it parses and validates them itself, so errors are
+ * returned to the client the way graphql-ws reports its own
+ */
+const createSubscribeLimits = (schema, options) => {
+  const limits = readLimits(options);
+
+  return (_ctx, _id, payload) => {
+    let document;
+    try {
+      document = parse(payload.query);
+    } catch (error) {
+      return [error];
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) return validationErrors;
+
+    const operation = getOperationAST(document, payload.operationName);
+    if (!operation) {
+      return [new GraphQLError("Unable to identify operation")];
+    }
+
+    const { violation } = checkOperationLimits({
+      schema,
+      document,
+      operation,
+      variables: payload.variables,
+      ...limits,
+    });
+
+    if (violation) {
+      return [new GraphQLError(violation.message, { extensions: { code: violation.code } })];
+    }
+
+    return {
+      schema,
+      document,
+      operationName: payload.operationName,
+      variableValues: payload.variables,
+    };
+  };
+};
+
+export {
+  FIELD_COSTS,
+  PAGE_SIZES,
+  LIST_SIZES,
+  analyzeOperation,
+  createQueryLimitsPlugin,
+  createSubscribeLimits,
+};
@@ -1,4 +1,5 @@
-import prisma from "../../config/prisma.js";
+import pkg from "@prisma/client";
+import prisma, { withDeleted } from "../../config/prisma.js";
 import { hashPassword, comparePassword } from "../../utils/password.js";
 import {
   generateAccessToken,
@@ -6,24 +7,379 @@ import {
   verifyRefreshToken,
 } from "../../utils/jwt.js";
 import { requireAuth } from "../../middleware/auth.js";
+import {
+  outranks,
+  getPermissions,
+  can,
+  authorize,
+} from "../../utils/permissions.js";
+import {
+  NotFoundError,
+  UnauthenticatedError,
+  ForbiddenError,
+  ValidationError,
+  ConflictError,
+  AccountSuspendedError,
+} from "../../utils/errors.js";
+import {
+  clampLimit,
+  paginate,
+  connectionFromFirstRows,
+} from "../../utils/pagination.js";
+import { getClientInfo } from "../../utils/clientInfo.js";
+import { recordAudit } from "../../utils/audit.js";
+import {
+  createActionToken,
+  consumeActionToken,
+} from "../../utils/actionTokens.js";
+import { sendMail } from "../../mailer/index.js";
+import { TOPICS, publish, subscribe } from "../../pubsub/index.js";
+import {
+  REACTION_TYPES,
+  isReactionType,
+  setReaction,
+  removeReaction,
+  formatReactionCounts,
+} from "../../utils/reactions.js";
+import {
+  formatNotificationPreferences,
+  notify,
+  notifyModeration,
+  markNotificationsRead,
+} from "../../utils/notifications.js";
+import {
+  activeSuspensionWhere,
+  getActiveSuspension,
+  suspendAccount,
+  liftSuspension,
+} from "../../utils/suspensions.js";
+import {
+  softDeletePost,
+  softDeleteComment,
+  softDeleteUser,
+  restorePost,
+  restoreComment,
+  restoreUser,
+} from "../../utils/softDelete.js";
+import {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} from "../../utils/accountDeletion.js";
+import {
+  getDownloadUrl,
+  requestDataExport,
+} from "../../utils/dataExports.js";
+import {
+  consumeRateLimit,
+  assertAccountNotLocked,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../../rateLimit/index.js";
+import {
+  verificationEmail,
+  passwordResetEmail,
+  accountDeletionEmail,
+} from "../../mailer/templates.js";
+import {
+  searchPosts as searchPostsFullText,
+  updatePostSearchVector,
+} from "../../utils/search.js";
 import { processImageUpload } from "../../utils/imageHandler.js";
+import { Email, NonEmptyString, Username, Password } from "../scalars/index.js";
+import {
+  normalizeTag,
+  normalizeTags,
+  parseTags,
+  getTrendingTags,
+} from "../../utils/tags.js";
+import {
+  saveImageVariants,
+  deleteImageVariants,
+  getImageUrl,
+} from "../../storage/index.js";
+
+const { Prisma } = pkg;
+
+// Comment lists had no cap before cursor pagination; keep it generous
+const MAX_COMMENT_LIMIT = 100;
+
+/**
+ * Revoke every still-active refresh token in a token family
+ */
+const revokeTokenFamily = async (familyId) => {
+  await prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * List a user's active sessions (one per refresh token family)
+ */
+const listSessions = async (userId, currentToken) => {
+  const tokens = await prisma.refreshToken.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { lastUsedAt: "desc" },
+  });
+
+  // A family's first token marks when the user logged in on that device
+  const families = await prisma.refreshToken.groupBy({
+    by: ["familyId"],
+    where: { familyId: { in: tokens.map((t) => t.familyId) } },
+    _min: { createdAt: true },
+  });
+  const startedAt = new Map(
+    families.map((f) => [f.familyId, f._min.createdAt])
+  );
+
+  return tokens.map((token) => ({
+    id: token.familyId,
+    userAgent: token.userAgent,
+    ipAddress: token.ipAddress,
+    createdAt: startedAt.get(token.familyId) || token.createdAt,
+    lastUsedAt: token.lastUsedAt,
+    expiresAt: token.expiresAt,
+    current: token.token === currentToken,
+  }));
+};
+
+/**
+ * Soft-delete a comment, or tombstone it while it still has replies so the
+ * thread stays readable. A tombstone keeps nothing the author wrote; once
+ * left without replies it is deleted as well.
+ */
+const removeComment = async (comment, deletedById) => {
+  const replyCount = await prisma.comment.count({
+    where: { parentId: comment.id },
+  });
+
+  if (replyCount > 0) {
+    await prisma.$transaction([
+      prisma.comment.update({
+        where: { id: comment.id },
+        data: { content: "", tombstonedAt: new Date(), reactionCounts: {} },
+      }),
+      prisma.reaction.deleteMany({
+        where: { commentId: comment.id },
+      }),
+      prisma.savedComment.deleteMany({
+        where: { commentId: comment.id },
+      }),
+      prisma.commentRevision.deleteMany({
+        where: { commentId: comment.id },
+      }),
+    ]);
+    return;
+  }
+
+  await softDeleteComment(comment.id, deletedById);
+
+  if (comment.parentId) {
+    const parent = await prisma.comment.findUnique({
+      where: { id: comment.parentId },
+    });
+
+    if (parent?.tombstonedAt) {
+      await removeComment(parent, deletedById);
+    }
+  }
+};
+
+/**
+ * Create a password reset token and email it
+ * Runs after the response is sent, so errors are only logged.
+ */
+const sendPasswordReset = async (user) => {
+  try {
+    const token = await createActionToken(user.id, "PASSWORD_RESET", {
+      email: user.email,
+    });
+
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({ username: user.username, token }),
+    });
+  } catch (error) {
+    console.error("Failed to send password reset email:", error.message);
+  }
+};
+
+/**
+ * Load the post or comment a reaction points at
+ */
+const findReactionTarget = async (targetType, targetId) => {
+  if (targetType === "POST") {
+    const post = await prisma.post.findUnique({ where: { id: targetId } });
+    if (!post) throw new NotFoundError("Post not found");
+    return post;
+  }
+
+  const comment = await prisma.comment.findUnique({ where: { id: targetId } });
+  if (!comment || comment.tombstonedAt) {
+    throw new NotFoundError("Comment not found");
+  }
+  return comment;
+};
+
+/**
+ * Load a board owned by the user
+ */
+const findOwnBoard = async (boardId, userId) => {
+  const board = await prisma.board.findUnique({
+    where: { id: boardId },
+  });
+
+  if (!board || board.userId !== userId) {
+    throw new NotFoundError("Board not found");
+  }
+
+  return board;
+};
+
+/**
+ * Soft-delete a post with its comments and tell subscribers
+ * Stored images stay until the post is purged.
+ */
+const removePost = async (post, deletedById) => {
+  await softDeletePost(post.id, deletedById);
+  await publish(TOPICS.POST_DELETED, { id: post.id });
+};
+
+/**
+ * File a report, once per reporter while it is open
+ * @param {object} target - { targetType, postId, commentId, targetUserId }
+ */
+const createReport = async (reporterId, target, { reason, details }) => {
+  if (target.targetUserId === reporterId) {
+    throw new ValidationError("Cannot report yourself or your own content");
+  }
+
+  const existingReport = await prisma.report.findFirst({
+    where: {
+      reporterId,
+      targetType: target.targetType,
+      postId: target.postId,
+      commentId: target.commentId,
+      targetUserId: target.targetUserId,
+      status: "OPEN",
+    },
+  });
+
+  if (existingReport) {
+    throw new ConflictError("Already reported");
+  }
+
+  return await prisma.report.create({
+    data: { ...target, reporterId, reason, details },
+  });
+};
+
+/**
+ * Open reports about the same post, comment or user as this one
+ * Reports whose content is gone only match themselves.
+ */
+const sameTargetReports = (report) => {
+  if (report.targetType === "USER") {
+    return { targetType: "USER", targetUserId: report.targetUserId, status: "OPEN" };
+  }
+  if (report.postId) return { postId: report.postId, status: "OPEN" };
+  if (report.commentId) return { commentId: report.commentId, status: "OPEN" };
+  return { id: report.id };
+};
+
+/**
+ * Check a moderation action fits the report before anything changes
+ * @param {object} content - { post, comment } the report is about, if still there
+ */
+const assertReportActionPossible = (report, action, { post, comment }) => {
+  if (action === "HIDE" || action === "DELETE") {
+    if (report.targetType === "USER") {
+      throw new ValidationError("Invalid action", {
+        action: "Only posts and comments can be hidden or deleted",
+      });
+    }
+    if (!post && !comment) {
+      throw new ValidationError("Invalid action", {
+        action: "The reported content no longer exists",
+      });
+    }
+  }
+
+  if (action === "SUSPEND" && !report.targetUserId) {
+    throw new ValidationError("Invalid action", {
+      action: "The reported user no longer exists",
+    });
+  }
+};
 
-const requireAdmin = async (context) => {
-  const user = requireAuth(context);
+/**
+ * Users can only be suspended (or unsuspended) by someone with a higher role
+ * @param {string} verb - "suspend" or "unsuspend", for the error messages
+ */
+const assertCanSuspend = async (userId, context, verb = "suspend") => {
+  const actor = await context.loaders.userById.load(context.user.id);
+
+  if (userId === actor.id) {
+    throw new ForbiddenError(`Cannot ${verb} your own account`);
+  }
 
-  // Fetch full user from database to check role
-  const fullUser = await prisma.user.findUnique({
-    where: { id: user.id },
+  const target = await prisma.user.findUnique({
+    where: { id: userId },
   });
 
-  if (!fullUser || fullUser.role !== "ADMIN") {
-    throw new Error("Admin access required");
+  if (!target) {
+    throw new NotFoundError("User not found");
   }
 
-  return fullUser;
+  if (!outranks(actor.role, target.role)) {
+    throw new ForbiddenError(`Cannot ${verb} a user with the ${target.role} role`);
+  }
+};
+
+/**
+ * Suspend a user and let them know why
+ */
+const suspendWithNotice = async ({ userId, reason, expiresAt = null, suspendedById }) => {
+  const suspension = await suspendAccount({
+    userId,
+    reason,
+    expiresAt,
+    suspendedById,
+  });
+
+  const until = expiresAt ? ` until ${expiresAt.toISOString()}` : "";
+  await notifyModeration(
+    userId,
+    suspendedById,
+    `Your account was suspended${until}: ${reason}`
+  );
+
+  return suspension;
+};
+
+/**
+ * Parse an optional date argument, reporting bad input by argument name
+ */
+const parseDateArg = (value, name) => {
+  if (value == null) return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError("Invalid date", { [name]: "Must be a date" });
+  }
+  return date;
 };
 
 const resolvers = {
+  Email,
+  NonEmptyString,
+  Username,
+  Password,
+
   Query: {
     /**
      * Get current authenticated user
@@ -48,18 +404,9 @@ const resolvers = {
     },
 
     /**
-     * Get all users with pagination (admin only)
+     * Get all users with pagination (user:list)
      */
-    users: async (_, { page = 1, limit = 20 }, context) => {
-      const user = requireAuth(context);
-      const fullUser = await prisma.user.findUnique({
-        where: { id: user.id },
-      });
-
-      if (fullUser.role !== "ADMIN") {
-        throw new Error("Admin access required");
-      }
-
+    users: async (_, { page = 1, limit = 20 }) => {
       const skip = (page - 1) * limit;
       return await prisma.user.findMany({
         skip,
@@ -71,214 +418,170 @@ const resolvers = {
     /**
      * Get all posts with pagination
      */
-    getPosts: async (_, { page = 1, limit = 8 }) => {
+    getPosts: async (_, args) => {
       // Enforce maximum 8 posts per page by capping the limit
-      const validLimit = Math.min(Math.max(Number(limit) || 8, 1), 8);
-      console.log(
-        `[getPosts] Requested limit: ${limit}, Using validLimit: ${validLimit}`
-      );
+      return await paginate(prisma.post, {
+        where: { hiddenAt: null },
+        args,
+        itemsKey: "posts",
+        defaultLimit: 8,
+        maxLimit: 8,
+      });
+    },
 
-      const skip = (page - 1) * validLimit;
-
-      const [posts, totalCount] = await Promise.all([
-        prisma.post.findMany({
-          skip,
-          take: validLimit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            user: true,
-            comments: {
-              include: {
-                user: true,
-              },
-            },
-          },
-        }),
-        prisma.post.count(),
-      ]);
+    /**
+     * Full-text search posts by title and description
+     */
+    searchPosts: async (_, args) => {
+      // Enforce maximum 8 posts per page by capping the limit
+      return await searchPostsFullText(args, {
+        defaultLimit: 8,
+        maxLimit: 8,
+      });
+    },
 
-      return {
-        posts,
-        totalCount,
-        totalPages: Math.ceil(totalCount / validLimit),
-        hasMore: skip + posts.length < totalCount,
-        page,
-      };
+    /**
+     * Get single post by ID
+     * Hidden posts are only returned to their author and moderators.
+     */
+    getPost: async (_, { id }, context) => {
+      const post = await prisma.post.findUnique({
+        where: { id },
+      });
+
+      if (post?.hiddenAt && !(await can(context, "content:hidden", post))) {
+        return null;
+      }
+
+      return post;
     },
 
     /**
-     * Search posts by title, description with pagination
+     * Get posts by user ID with pagination
      */
-    searchPosts: async (_, { query, page = 1, limit = 8 }) => {
+    getUserPosts: async (_, { userId, ...args }) => {
       // Enforce maximum 8 posts per page by capping the limit
-      const validLimit = Math.min(Math.max(Number(limit) || 8, 1), 8);
+      return await paginate(prisma.post, {
+        where: { userId, hiddenAt: null },
+        args,
+        itemsKey: "posts",
+        defaultLimit: 8,
+        maxLimit: 8,
+      });
+    },
 
-      const skip = (page - 1) * validLimit;
+    /**
+     * Posts with a tag, newest first
+     */
+    postsByTag: async (_, { tag, ...args }) => {
+      return await paginate(prisma.post, {
+        where: { tags: { has: normalizeTag(tag) }, hiddenAt: null },
+        args,
+        itemsKey: "posts",
+        defaultLimit: 8,
+        maxLimit: 8,
+      });
+    },
 
-      const where = {
-        OR: [
-          { title: { contains: query, mode: "insensitive" } },
-          { description: { contains: query, mode: "insensitive" } },
-        ],
-      };
+    /**
+     * Most used tags on recent posts
+     */
+    trendingTags: async (_, { limit, days }) => {
+      return await getTrendingTags({
+        limit: clampLimit(limit, 10, 50),
+        days: Math.min(Math.max(Number(days) || 7, 1), 90),
+      });
+    },
 
-      const [posts, totalCount] = await Promise.all([
-        prisma.post.findMany({
-          where,
-          skip,
-          take: validLimit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            user: true,
-            comments: {
-              include: {
-                user: true,
-              },
-            },
-          },
-        }),
-        prisma.post.count({ where }),
-      ]);
+    /**
+     * Boards of the current user
+     */
+    myBoards: async (_, __, context) => {
+      const user = requireAuth(context);
 
-      return {
-        posts,
-        totalCount,
-        totalPages: Math.ceil(totalCount / validLimit),
-        hasMore: skip + posts.length < totalCount,
-        page,
-      };
+      return await prisma.board.findMany({
+        where: { userId: user.id },
+        orderBy: { createdAt: "desc" },
+      });
     },
 
     /**
-     * Get single post by ID
+     * Get a board; private boards are only visible to their owner
      */
-    getPost: async (_, { id }) => {
-      return await prisma.post.findUnique({
+    getBoard: async (_, { id }, context) => {
+      const board = await prisma.board.findUnique({
         where: { id },
-        include: {
-          user: true,
-          comments: {
-            include: {
-              user: true,
-            },
-            orderBy: { createdAt: "desc" },
-          },
-        },
       });
+
+      if (!board) return null;
+      if (board.visibility === "PRIVATE" && board.userId !== context.user?.id) {
+        return null;
+      }
+
+      return board;
     },
 
     /**
-     * Get posts by user ID with pagination
+     * Posts from followed users (and the user's own), newest first
+     * Users who follow nobody yet get posts with reactions or saves instead.
+     * Both lists share the cursor format, so following someone mid-scroll
+     * only changes what the next page holds.
      */
-    getUserPosts: async (_, { userId, page = 1, limit = 8 }) => {
-      // Enforce maximum 8 posts per page by capping the limit
-      const validLimit = Math.min(Math.max(Number(limit) || 8, 1), 8);
-
-      const skip = (page - 1) * validLimit;
-
-      const where = { userId };
-
-      const [posts, totalCount] = await Promise.all([
-        prisma.post.findMany({
-          where,
-          skip,
-          take: validLimit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            user: true,
-            comments: {
-              include: {
-                user: true,
-              },
-            },
-          },
-        }),
-        prisma.post.count({ where }),
-      ]);
+    homeFeed: async (_, args, context) => {
+      const user = requireAuth(context);
 
-      return {
-        posts,
-        totalCount,
-        totalPages: Math.ceil(totalCount / validLimit),
-        hasMore: skip + posts.length < totalCount,
-        page,
-      };
+      const followCount = await prisma.follow.count({
+        where: { followerId: user.id },
+      });
+
+      let sources = [{ reactions: { some: {} } }, { savedBy: { some: {} } }];
+      if (followCount > 0) {
+        sources = [
+          { userId: user.id },
+          { user: { followers: { some: { followerId: user.id } } } },
+        ];
+      }
+
+      return await paginate(prisma.post, {
+        where: { OR: sources, hiddenAt: null },
+        args,
+        itemsKey: "posts",
+        defaultLimit: 8,
+        maxLimit: 8,
+      });
     },
 
     /**
      * Get comments for a post with pagination
      */
-    getComments: async (_, { postId, page = 1, limit = 20 }) => {
-      const skip = (page - 1) * limit;
-
-      const where = { postId };
-
-      const [comments, totalCount] = await Promise.all([
-        prisma.comment.findMany({
-          where,
-          skip,
-          take: limit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            user: true,
-            post: true,
-          },
-        }),
-        prisma.comment.count({ where }),
-      ]);
-
-      return {
-        comments,
-        totalCount,
-        totalPages: Math.ceil(totalCount / limit),
-        hasMore: skip + comments.length < totalCount,
-        page,
-      };
+    getComments: async (_, { postId, threaded, ...args }) => {
+      return await paginate(prisma.comment, {
+        // Threaded mode lists top-level comments; replies come via Comment.replies.
+        // Replies to a deleted comment (e.g. of a deleted user) move up a level.
+        where: threaded
+          ? { postId, OR: [{ parentId: null }, { parent: { deletedAt: { not: null } } }] }
+          : { postId },
+        args,
+        itemsKey: "comments",
+        defaultLimit: 20,
+        maxLimit: MAX_COMMENT_LIMIT,
+      });
     },
 
     /**
      * Get all saved posts for current user with pagination
      */
-    getSavedPosts: async (_, { page = 1, limit = 8 }, context) => {
+    getSavedPosts: async (_, args, context) => {
       const user = requireAuth(context);
 
       // Enforce maximum 8 posts per page by capping the limit
-      const validLimit = Math.min(Math.max(Number(limit) || 8, 1), 8);
-
-      const skip = (page - 1) * validLimit;
-
-      const where = { userId: user.id };
-
-      const [savedPosts, totalCount] = await Promise.all([
-        prisma.savedPost.findMany({
-          where,
-          skip,
-          take: validLimit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            user: true,
-            post: {
-              include: {
-                user: true,
-                comments: {
-                  include: {
-                    user: true,
-                  },
-                },
-              },
-            },
-          },
-        }),
-        prisma.savedPost.count({ where }),
-      ]);
-
-      return {
-        savedPosts,
-        totalCount,
-        totalPages: Math.ceil(totalCount / validLimit),
-        hasMore: skip + savedPosts.length < totalCount,
-        page,
-      };
+      return await paginate(prisma.savedPost, {
+        where: { userId: user.id, post: { deletedAt: null } },
+        args,
+        itemsKey: "savedPosts",
+        defaultLimit: 8,
+        maxLimit: 8,
+      });
     },
 
     /**
@@ -300,38 +603,16 @@ const resolvers = {
     /**
      * Get all saved comments for current user with pagination
      */
-    getSavedComments: async (_, { page = 1, limit = 20 }, context) => {
+    getSavedComments: async (_, args, context) => {
       const user = requireAuth(context);
 
-      const skip = (page - 1) * limit;
-      const where = { userId: user.id };
-
-      const [savedComments, totalCount] = await Promise.all([
-        prisma.savedComment.findMany({
-          where,
-          skip,
-          take: limit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            user: true,
-            comment: {
-              include: {
-                user: true,
-                post: true,
-              },
-            },
-          },
-        }),
-        prisma.savedComment.count({ where }),
-      ]);
-
-      return {
-        savedComments,
-        totalCount,
-        totalPages: Math.ceil(totalCount / limit),
-        hasMore: skip + savedComments.length < totalCount,
-        page,
-      };
+      return await paginate(prisma.savedComment, {
+        where: { userId: user.id, comment: { deletedAt: null } },
+        args,
+        itemsKey: "savedComments",
+        defaultLimit: 20,
+        maxLimit: MAX_COMMENT_LIMIT,
+      });
     },
 
     /**
@@ -351,33 +632,144 @@ const resolvers = {
     },
 
     /**
-     * Get all comments across all posts (admin only)
+     * Current user's notifications, newest first
      */
-    getAllComments: async (_, { page = 1, limit = 20 }, context) => {
-      await requireAdmin(context);
+    notifications: async (_, { unreadOnly, ...args }, context) => {
+      const user = requireAuth(context);
 
-      const skip = (page - 1) * limit;
+      return await paginate(prisma.notification, {
+        where: {
+          userId: user.id,
+          ...(unreadOnly && { readAt: null }),
+        },
+        args,
+        itemsKey: "notifications",
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
+    },
 
-      const [comments, totalCount] = await Promise.all([
-        prisma.comment.findMany({
-          skip,
-          take: limit,
-          orderBy: { createdAt: "desc" },
-          include: {
-            user: true,
-            post: true,
-          },
-        }),
-        prisma.comment.count(),
-      ]);
+    /**
+     * Number of unread notifications of the current user
+     */
+    unreadNotificationCount: async (_, __, context) => {
+      const user = requireAuth(context);
 
-      return {
-        comments,
-        totalCount,
-        totalPages: Math.ceil(totalCount / limit),
-        hasMore: skip + comments.length < totalCount,
-        page,
+      return await prisma.notification.count({
+        where: { userId: user.id, readAt: null },
+      });
+    },
+
+    /**
+     * Which notification types the current user receives
+     */
+    notificationPreferences: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      const { notificationPreferences } = await prisma.user.findUnique({
+        where: { id: user.id },
+        select: { notificationPreferences: true },
+      });
+
+      return formatNotificationPreferences(notificationPreferences);
+    },
+
+    /**
+     * Reports for moderators to review (report:read)
+     * Open reports are listed oldest first, handled ones newest first.
+     */
+    moderationQueue: async (_, { status, targetType, reason, ...args }) => {
+      return await paginate(prisma.report, {
+        where: {
+          ...(status && { status }),
+          ...(targetType && { targetType }),
+          ...(reason && { reason }),
+        },
+        args,
+        itemsKey: "reports",
+        order: status === "OPEN" ? "asc" : "desc",
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
+    },
+
+    /**
+     * Get all comments across all posts (comment:list:any)
+     */
+    getAllComments: async (_, args) => {
+      return await paginate(prisma.comment, {
+        args,
+        itemsKey: "comments",
+        defaultLimit: 20,
+        maxLimit: MAX_COMMENT_LIMIT,
+      });
+    },
+
+    /**
+     * List the current user's active sessions (devices)
+     */
+    mySessions: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      return await listSessions(user.id, context.req.cookies?.refreshToken);
+    },
+
+    /**
+     * The current user's 10 most recent data exports
+     */
+    myDataExports: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      return await prisma.dataExport.findMany({
+        where: { userId: user.id },
+        orderBy: { createdAt: "desc" },
+        take: 10,
+      });
+    },
+
+    /**
+     * List any user's active sessions (session:read:any)
+     */
+    userSessions: async (_, { userId }, context) => {
+      return await listSessions(userId, context.req.cookies?.refreshToken);
+    },
+
+    /**
+     * Audit log entries, newest first (audit:read)
+     * from/to bound createdAt inclusively.
+     */
+    auditLog: async (_, { actorId, action, targetType, targetId, from, to, ...args }) => {
+      const createdAt = {
+        gte: parseDateArg(from, "from"),
+        lte: parseDateArg(to, "to"),
       };
+
+      return await paginate(prisma.auditLog, {
+        where: {
+          ...(actorId && { actorId }),
+          ...(action && { action }),
+          ...(targetType && { targetType }),
+          ...(targetId && { targetId }),
+          ...((createdAt.gte || createdAt.lte) && { createdAt }),
+        },
+        args,
+        itemsKey: "entries",
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
+    },
+
+    /**
+     * Suspensions currently in force, newest first (user:suspend)
+     */
+    suspendedUsers: async (_, args) => {
+      return await paginate(prisma.suspension, {
+        where: activeSuspensionWhere(),
+        args,
+        itemsKey: "suspensions",
+        defaultLimit: 20,
+        maxLimit: 100,
+      });
     },
 
     /**
@@ -392,6 +784,21 @@ const resolvers = {
 
       return fullUser?.role === "ADMIN";
     },
+
+    /**
+     * Permissions granted by the current user's role
+     */
+    myPermissions: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      const viewer = await context.loaders.userById.load(user.id);
+      return getPermissions(viewer?.role);
+    },
+
+    /**
+     * Reaction types accepted by react
+     */
+    reactionTypes: () => REACTION_TYPES,
   },
 
   Mutation: {
@@ -399,23 +806,29 @@ const resolvers = {
      * Register a new user with username and password
      */
     register: async (_, { username, password, email }, context) => {
-      // Check if username already exists
+      await consumeRateLimit("register", { ip: context.req.ip }, context);
+
+      // Deleted accounts keep their username and email until purged
       const existingUser = await prisma.user.findUnique({
-        where: { username },
+        where: { username, ...withDeleted },
       });
 
       if (existingUser) {
-        throw new Error("Username already exists");
+        throw new ConflictError("Username already exists", {
+          username: "Username already exists",
+        });
       }
 
       // Check if email exists (if provided)
       if (email) {
         const existingEmail = await prisma.user.findUnique({
-          where: { email },
+          where: { email, ...withDeleted },
         });
 
         if (existingEmail) {
-          throw new Error("Email already exists");
+          throw new ConflictError("Email already exists", {
+            email: "Email already exists",
+          });
         }
       }
 
@@ -444,6 +857,7 @@ const resolvers = {
           token: refreshToken,
           userId: user.id,
           expiresAt,
+          ...getClientInfo(context.req),
         },
       });
 
@@ -465,23 +879,40 @@ const resolvers = {
      * Login with username and password
      */
     login: async (_, { username, password }, context) => {
+      // Throttle before touching bcrypt
+      await consumeRateLimit(
+        "login",
+        { ip: context.req.ip, account: username },
+        context
+      );
+      await assertAccountNotLocked(username, context);
+
       // Find user
       const user = await prisma.user.findUnique({
         where: { username },
       });
 
       if (!user || !user.password) {
-        throw new Error("Invalid credentials");
+        await recordLoginFailure(username);
+        throw new UnauthenticatedError("Invalid credentials");
       }
 
       // Verify password
       const isValid = await comparePassword(password, user.password);
 
       if (!isValid) {
-        throw new Error("Invalid credentials");
+        await recordLoginFailure(username);
+        throw new UnauthenticatedError("Invalid credentials");
       }
 
-      // Generate tokens
+      await clearLoginFailures(username);
+
+      const suspension = await getActiveSuspension(user.id);
+      if (suspension) {
+        throw new AccountSuspendedError(undefined, suspension.expiresAt);
+      }
+
+      // Generate tokens
       const accessToken = generateAccessToken(user.id);
       const refreshToken = generateRefreshToken(user.id);
 
@@ -494,6 +925,7 @@ const resolvers = {
           token: refreshToken,
           userId: user.id,
           expiresAt,
+          ...getClientInfo(context.req),
         },
       });
 
@@ -518,14 +950,14 @@ const resolvers = {
       const refreshToken = context.req.cookies.refreshToken;
 
       if (!refreshToken) {
-        throw new Error("No refresh token provided");
+        throw new UnauthenticatedError("No refresh token provided");
       }
 
       // Verify refresh token
       try {
         verifyRefreshToken(refreshToken);
       } catch (_error) {
-        throw new Error("Invalid refresh token");
+        throw new UnauthenticatedError("Invalid refresh token");
       }
 
       // Check if refresh token exists in database
@@ -535,7 +967,14 @@ const resolvers = {
       });
 
       if (!storedToken) {
-        throw new Error("Refresh token not found");
+        throw new UnauthenticatedError("Refresh token not found");
+      }
+
+      // A rotated token presented again means it was copied: kill the family
+      if (storedToken.revokedAt) {
+        await revokeTokenFamily(storedToken.familyId);
+        context.res.clearCookie("refreshToken");
+        throw new UnauthenticatedError("Refresh token reuse detected");
       }
 
       // Check if token is expired
@@ -544,9 +983,56 @@ const resolvers = {
         await prisma.refreshToken.delete({
           where: { id: storedToken.id },
         });
-        throw new Error("Refresh token expired");
+        throw new UnauthenticatedError("Refresh token expired");
+      }
+
+      // Rotate: issue a new token in the same family and revoke the old one
+      const newRefreshToken = generateRefreshToken(storedToken.userId);
+
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + 7);
+
+      const rotated = await prisma.$transaction(async (tx) => {
+        // Only one concurrent request may consume the old token
+        const { count } = await tx.refreshToken.updateMany({
+          where: { id: storedToken.id, revokedAt: null },
+          data: { revokedAt: new Date() },
+        });
+
+        if (count === 0) return null;
+
+        const created = await tx.refreshToken.create({
+          data: {
+            token: newRefreshToken,
+            userId: storedToken.userId,
+            familyId: storedToken.familyId,
+            expiresAt,
+            ...getClientInfo(context.req),
+          },
+        });
+
+        await tx.refreshToken.update({
+          where: { id: storedToken.id },
+          data: { replacedById: created.id },
+        });
+
+        return created;
+      });
+
+      if (!rotated) {
+        await revokeTokenFamily(storedToken.familyId);
+        context.res.clearCookie("refreshToken");
+        throw new UnauthenticatedError("Refresh token reuse detected");
       }
 
+      // Set rotated refresh token in HTTP-only cookie
+      context.res.cookie("refreshToken", newRefreshToken, {
+        httpOnly: true,
+        secure: process.env.COOKIE_SECURE === "true",
+        sameSite: process.env.COOKIE_SAME_SITE || "lax",
+        maxAge: 7 * 24 * 60 * 60 * 1000,
+      });
+
       // Generate new access token
       const accessToken = generateAccessToken(storedToken.userId);
 
@@ -563,10 +1049,16 @@ const resolvers = {
       const refreshToken = context.req.cookies.refreshToken;
 
       if (refreshToken) {
-        // Delete refresh token from database
-        await prisma.refreshToken.deleteMany({
+        const storedToken = await prisma.refreshToken.findUnique({
           where: { token: refreshToken },
         });
+
+        // Delete every token of this login, including already rotated ones
+        if (storedToken) {
+          await prisma.refreshToken.deleteMany({
+            where: { familyId: storedToken.familyId },
+          });
+        }
       }
 
       // Clear cookie
@@ -575,6 +1067,38 @@ const resolvers = {
       return true;
     },
 
+    /**
+     * Revoke one of the current user's sessions
+     */
+    revokeSession: async (_, { id }, context) => {
+      const user = requireAuth(context);
+
+      const { count } = await prisma.refreshToken.deleteMany({
+        where: { familyId: id, userId: user.id },
+      });
+
+      if (count === 0) {
+        throw new NotFoundError("Session not found");
+      }
+
+      return true;
+    },
+
+    /**
+     * Revoke every session of the current user, including this one
+     */
+    logoutEverywhere: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      await prisma.refreshToken.deleteMany({
+        where: { userId: user.id },
+      });
+
+      context.res.clearCookie("refreshToken");
+
+      return true;
+    },
+
     /**
      * Update user profile
      */
@@ -587,28 +1111,53 @@ const resolvers = {
           where: {
             email,
             NOT: { id: user.id },
+            ...withDeleted,
           },
         });
 
         if (existingUser) {
-          throw new Error("Email already in use");
+          throw new ConflictError("Email already in use", {
+            email: "Email already in use",
+          });
         }
       }
 
-      // Validate avatar if provided
+      // Validate and store avatar if provided
+      let avatarImage = null;
       if (avatar) {
-        processImageUpload(avatar);
+        avatarImage = await saveImageVariants(
+          await processImageUpload(avatar),
+          "avatars"
+        );
       }
 
+      const currentUser = await prisma.user.findUnique({
+        where: { id: user.id },
+      });
+
       // Update user
       const updatedUser = await prisma.user.update({
         where: { id: user.id },
         data: {
           ...(email !== undefined && { email }),
-          ...(avatar !== undefined && { avatar }),
+          // A new address has to be verified again
+          ...(email !== undefined &&
+            email !== currentUser.email && { emailVerifiedAt: null }),
+          ...(avatar !== undefined && {
+            avatar: avatarImage?.full || null,
+            avatarVariants: avatarImage || Prisma.DbNull,
+          }),
         },
       });
 
+      // Remove the replaced avatar file
+      if (avatar !== undefined && currentUser.avatar) {
+        await deleteImageVariants(
+          currentUser.avatar,
+          currentUser.avatarVariants
+        );
+      }
+
       return updatedUser;
     },
 
@@ -624,7 +1173,7 @@ const resolvers = {
       });
 
       if (!userWithPassword.password) {
-        throw new Error("Cannot update password for OAuth users");
+        throw new ValidationError("Cannot update password for OAuth users");
       }
 
       // Verify old password
@@ -634,7 +1183,9 @@ const resolvers = {
       );
 
       if (!isValid) {
-        throw new Error("Invalid old password");
+        throw new ValidationError("Invalid old password", {
+          oldPassword: "Invalid old password",
+        });
       }
 
       // Hash new password
@@ -649,6 +1200,181 @@ const resolvers = {
       return true;
     },
 
+    /**
+     * Schedule the current user's account for deletion after the grace period
+     */
+    requestAccountDeletion: async (_, { password }, context) => {
+      const user = requireAuth(context);
+
+      const fullUser = await prisma.user.findUnique({
+        where: { id: user.id },
+      });
+
+      // Google-only accounts have no password to confirm
+      if (fullUser.password) {
+        const isValid = Boolean(password) && (await comparePassword(password, fullUser.password));
+
+        if (!isValid) {
+          throw new ValidationError("Invalid password", {
+            password: "Invalid password",
+          });
+        }
+      }
+
+      const scheduledUser = await scheduleAccountDeletion(fullUser);
+
+      if (!fullUser.deletionScheduledAt && scheduledUser.email) {
+        await sendMail({
+          to: scheduledUser.email,
+          ...accountDeletionEmail({
+            username: scheduledUser.username,
+            scheduledAt: scheduledUser.deletionScheduledAt,
+          }),
+        });
+      }
+
+      return scheduledUser;
+    },
+
+    /**
+     * Keep the account after all
+     */
+    cancelAccountDeletion: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      return await cancelAccountDeletion(user.id);
+    },
+
+    /**
+     * Queue an archive of the current user's data
+     */
+    exportMyData: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      await consumeRateLimit("dataExport", { account: user.id }, context);
+
+      const dataExport = await requestDataExport(user.id);
+
+      if (!dataExport) {
+        throw new ConflictError("A data export is already in progress");
+      }
+
+      return dataExport;
+    },
+
+    /**
+     * Send a verification link to the current user's email
+     */
+    requestEmailVerification: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      const fullUser = await prisma.user.findUnique({
+        where: { id: user.id },
+      });
+
+      if (!fullUser.email) {
+        throw new ValidationError("No email address on this account");
+      }
+
+      if (fullUser.emailVerifiedAt) {
+        throw new ConflictError("Email already verified");
+      }
+
+      const token = await createActionToken(fullUser.id, "EMAIL_VERIFICATION", {
+        email: fullUser.email,
+      });
+
+      await sendMail({
+        to: fullUser.email,
+        ...verificationEmail({ username: fullUser.username, token }),
+      });
+
+      return true;
+    },
+
+    /**
+     * Verify an email address with a token from requestEmailVerification
+     */
+    verifyEmail: async (_, { token }) => {
+      const actionToken = await consumeActionToken(token, "EMAIL_VERIFICATION");
+
+      if (!actionToken) {
+        throw new ValidationError("Invalid or expired verification token", {
+          token: "Invalid or expired verification token",
+        });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: actionToken.userId },
+      });
+
+      // The address changed after the link was sent
+      if (!user || user.email !== actionToken.email) {
+        throw new ValidationError("Invalid or expired verification token", {
+          token: "Invalid or expired verification token",
+        });
+      }
+
+      return await prisma.user.update({
+        where: { id: user.id },
+        data: { emailVerifiedAt: new Date() },
+      });
+    },
+
+    /**
+     * Email a password reset link
+     * Always returns true so the response does not reveal which emails exist
+     */
+    requestPasswordReset: async (_, { email }, context) => {
+      await consumeRateLimit(
+        "passwordReset",
+        { ip: context.req.ip, account: email },
+        context
+      );
+
+      const user = await prisma.user.findUnique({
+        where: { email },
+      });
+
+      // Not awaited: known and unknown addresses answer alike, whatever
+      // the mail transport does
+      if (user) {
+        sendPasswordReset(user);
+      }
+
+      return true;
+    },
+
+    /**
+     * Set a new password with a token from requestPasswordReset
+     */
+    resetPassword: async (_, { token, newPassword }, context) => {
+      await consumeRateLimit("passwordReset", { ip: context.req.ip }, context);
+
+      const actionToken = await consumeActionToken(token, "PASSWORD_RESET");
+
+      if (!actionToken) {
+        throw new ValidationError("Invalid or expired reset token", {
+          token: "Invalid or expired reset token",
+        });
+      }
+
+      const hashedPassword = await hashPassword(newPassword);
+
+      // Log out every device - whoever knew the old password loses access
+      await prisma.$transaction([
+        prisma.user.update({
+          where: { id: actionToken.userId },
+          data: { password: hashedPassword },
+        }),
+        prisma.refreshToken.deleteMany({
+          where: { userId: actionToken.userId },
+        }),
+      ]);
+
+      return true;
+    },
+
     /**
      * Link Google account to existing user
      */
@@ -660,11 +1386,12 @@ const resolvers = {
         where: {
           googleId,
           NOT: { id: user.id },
+          ...withDeleted,
         },
       });
 
       if (existingGoogleUser) {
-        throw new Error("Google account already linked to another user");
+        throw new ConflictError("Google account already linked to another user");
       }
 
       // Update user with Google ID
@@ -685,48 +1412,63 @@ const resolvers = {
     uploadAvatar: async (_, { imageBase64 }, context) => {
       const user = requireAuth(context);
 
-      // Validate and process image
-      const processedImage = processImageUpload(imageBase64);
+      // Validate and store image
+      const avatarImage = await saveImageVariants(
+        await processImageUpload(imageBase64),
+        "avatars"
+      );
+
+      const currentUser = await prisma.user.findUnique({
+        where: { id: user.id },
+      });
 
       // Update user avatar
       const updatedUser = await prisma.user.update({
         where: { id: user.id },
-        data: { avatar: processedImage },
+        data: { avatar: avatarImage.full, avatarVariants: avatarImage },
       });
 
+      // Remove the replaced avatar file
+      await deleteImageVariants(currentUser.avatar, currentUser.avatarVariants);
+
       return updatedUser;
     },
 
     /**
      * Create a new post
      */
-    createPost: async (_, { title, description, imageBase64 }, context) => {
+    createPost: async (_, { title, description, imageBase64, tags }, context) => {
       const user = requireAuth(context);
 
-      // Validate and process image
-      const processedImage = processImageUpload(imageBase64);
+      // Validate and store image
+      const image = await saveImageVariants(
+        await processImageUpload(imageBase64),
+        "posts"
+      );
 
       // Create post
       const post = await prisma.post.create({
         data: {
           title,
           description,
-          image: processedImage,
+          image: image.full,
+          imageVariants: image,
+          // Explicit tags win; otherwise take #hashtags from the description
+          tags: tags ? normalizeTags(tags) : parseTags(description),
           userId: user.id,
         },
-        include: {
-          user: true,
-          comments: true,
-        },
       });
 
+      await updatePostSearchVector(post.id);
+      await publish(TOPICS.POST_CREATED, { id: post.id });
+
       return post;
     },
 
     /**
-     * Update a post (only owner or admin)
+     * Update a post (owner, or post:update:any)
      */
-    updatePost: async (_, { id, title, description, imageBase64 }, context) => {
+    updatePost: async (_, { id, title, description, imageBase64, tags }, context) => {
       const user = requireAuth(context);
 
       // Get post to check ownership
@@ -735,46 +1477,63 @@ const resolvers = {
       });
 
       if (!post) {
-        throw new Error("Post not found");
+        throw new NotFoundError("Post not found");
       }
 
-      // Get user with role
-      const fullUser = await prisma.user.findUnique({
-        where: { id: user.id },
-      });
-
-      // Check if user is owner or admin
-      if (post.userId !== user.id && fullUser.role !== "ADMIN") {
-        throw new Error("Not authorized to update this post");
+      // Owners need post:update:own, everyone else post:update:any
+      if (!(await can(context, "post:update", post))) {
+        throw new ForbiddenError("Not authorized to update this post");
       }
 
       // Prepare update data
       const updateData = {};
       if (title !== undefined) updateData.title = title;
       if (description !== undefined) updateData.description = description;
+      if (tags) {
+        updateData.tags = normalizeTags(tags);
+      } else if (description !== undefined) {
+        updateData.tags = parseTags(description);
+      }
       if (imageBase64) {
-        updateData.image = processImageUpload(imageBase64);
+        const image = await saveImageVariants(
+          await processImageUpload(imageBase64),
+          "posts"
+        );
+        updateData.image = image.full;
+        updateData.imageVariants = image;
       }
 
       // Update post
       const updatedPost = await prisma.post.update({
         where: { id },
         data: updateData,
-        include: {
-          user: true,
-          comments: {
-            include: {
-              user: true,
-            },
-          },
-        },
       });
 
+      if (title !== undefined || description !== undefined) {
+        await updatePostSearchVector(id);
+      }
+
+      // Remove the replaced image file
+      if (updateData.image) {
+        await deleteImageVariants(post.image, post.imageVariants);
+      }
+
+      // Allowed only by post:update:any
+      if (post.userId !== user.id) {
+        await recordAudit(context, {
+          action: "POST_UPDATE",
+          targetType: "Post",
+          targetId: id,
+          before: post,
+          after: updatedPost,
+        });
+      }
+
       return updatedPost;
     },
 
     /**
-     * Delete a post (only owner or admin)
+     * Delete a post (owner, or post:delete:any)
      */
     deletePost: async (_, { id }, context) => {
       const user = requireAuth(context);
@@ -785,23 +1544,29 @@ const resolvers = {
       });
 
       if (!post) {
-        throw new Error("Post not found");
+        throw new NotFoundError("Post not found");
       }
 
-      // Get user with role
-      const fullUser = await prisma.user.findUnique({
-        where: { id: user.id },
-      });
-
-      // Check if user is owner or admin
-      if (post.userId !== user.id && fullUser.role !== "ADMIN") {
-        throw new Error("Not authorized to delete this post");
+      // Owners need post:delete:own, everyone else post:delete:any
+      if (!(await can(context, "post:delete", post))) {
+        throw new ForbiddenError("Not authorized to delete this post");
       }
 
-      // Delete post (comments will be cascade deleted)
-      await prisma.post.delete({
-        where: { id },
-      });
+      await removePost(post, user.id);
+      await notifyModeration(
+        post.userId,
+        user.id,
+        `Your post "${post.title}" was removed by a moderator`
+      );
+
+      if (post.userId !== user.id) {
+        await recordAudit(context, {
+          action: "POST_DELETE",
+          targetType: "Post",
+          targetId: id,
+          before: post,
+        });
+      }
 
       return true;
     },
@@ -809,7 +1574,7 @@ const resolvers = {
     /**
      * Create a comment on a post
      */
-    createComment: async (_, { postId, content }, context) => {
+    createComment: async (_, { postId, content, parentId }, context) => {
       const user = requireAuth(context);
 
       // Check if post exists
@@ -818,7 +1583,21 @@ const resolvers = {
       });
 
       if (!post) {
-        throw new Error("Post not found");
+        throw new NotFoundError("Post not found");
+      }
+
+      // Replies must answer a live comment on the same post
+      let parent = null;
+      if (parentId) {
+        parent = await prisma.comment.findUnique({
+          where: { id: parentId },
+        });
+
+        if (!parent || parent.postId !== postId || parent.tombstonedAt) {
+          throw new ValidationError("Cannot reply to this comment", {
+            parentId: "Parent comment not found on this post",
+          });
+        }
       }
 
       // Create comment
@@ -827,20 +1606,29 @@ const resolvers = {
           content,
           userId: user.id,
           postId,
-        },
-        include: {
-          user: true,
-          post: true,
+          parentId,
         },
       });
 
+      await publish(TOPICS.COMMENT_ADDED, { id: comment.id, postId });
+
+      // A post author replied to on their own post gets only the reply notice
+      const notification = { actorId: user.id, postId, commentId: comment.id };
+      if (parent) {
+        await notify({ ...notification, userId: parent.userId, type: "REPLY" });
+      }
+      if (parent?.userId !== post.userId) {
+        await notify({ ...notification, userId: post.userId, type: "COMMENT" });
+      }
+
       return comment;
     },
 
     /**
-     * Delete a comment (only owner or admin)
+     * Edit a comment (owner, or comment:update:any)
+     * The replaced content is kept as a CommentRevision.
      */
-    deleteComment: async (_, { id }, context) => {
+    updateComment: async (_, { id, content }, context) => {
       const user = requireAuth(context);
 
       // Get comment to check ownership
@@ -848,32 +1636,89 @@ const resolvers = {
         where: { id },
       });
 
-      if (!comment) {
-        throw new Error("Comment not found");
+      if (!comment || comment.tombstonedAt) {
+        throw new NotFoundError("Comment not found");
       }
 
-      // Get user with role
-      const fullUser = await prisma.user.findUnique({
-        where: { id: user.id },
-      });
+      // Owners need comment:update:own, everyone else comment:update:any
+      if (!(await can(context, "comment:update", comment))) {
+        throw new ForbiddenError("Not authorized to update this comment");
+      }
+
+      if (content === comment.content) {
+        return comment;
+      }
+
+      const [, updatedComment] = await prisma.$transaction([
+        prisma.commentRevision.create({
+          data: {
+            commentId: id,
+            content: comment.content,
+            editedById: user.id,
+          },
+        }),
+        prisma.comment.update({
+          where: { id },
+          data: { content, editedAt: new Date() },
+        }),
+      ]);
 
-      // Check if user is owner or admin
-      if (comment.userId !== user.id && fullUser.role !== "ADMIN") {
-        throw new Error("Not authorized to delete this comment");
+      if (comment.userId !== user.id) {
+        await recordAudit(context, {
+          action: "COMMENT_UPDATE",
+          targetType: "Comment",
+          targetId: id,
+          before: comment,
+          after: updatedComment,
+        });
       }
 
-      // Delete comment
-      await prisma.comment.delete({
+      return updatedComment;
+    },
+
+    /**
+     * Delete a comment (owner, or comment:delete:any)
+     */
+    deleteComment: async (_, { id }, context) => {
+      const user = requireAuth(context);
+
+      // Get comment to check ownership
+      const comment = await prisma.comment.findUnique({
         where: { id },
       });
 
+      if (!comment) {
+        throw new NotFoundError("Comment not found");
+      }
+
+      // Owners need comment:delete:own, everyone else comment:delete:any
+      if (!(await can(context, "comment:delete", comment))) {
+        throw new ForbiddenError("Not authorized to delete this comment");
+      }
+
+      await removeComment(comment, user.id);
+      await notifyModeration(
+        comment.userId,
+        user.id,
+        "Your comment was removed by a moderator"
+      );
+
+      if (comment.userId !== user.id) {
+        await recordAudit(context, {
+          action: "COMMENT_DELETE",
+          targetType: "Comment",
+          targetId: id,
+          before: comment,
+        });
+      }
+
       return true;
     },
 
     /**
      * Save a post (bookmark)
      */
-    savePost: async (_, { postId }, context) => {
+    savePost: async (_, { postId, boardId }, context) => {
       const user = requireAuth(context);
 
       // Check if post exists
@@ -882,7 +1727,11 @@ const resolvers = {
       });
 
       if (!post) {
-        throw new Error("Post not found");
+        throw new NotFoundError("Post not found");
+      }
+
+      if (boardId) {
+        await findOwnBoard(boardId, user.id);
       }
 
       // Check if already saved
@@ -893,8 +1742,16 @@ const resolvers = {
         },
       });
 
+      // Saving again into another board moves the save
+      if (existingSave && boardId && existingSave.boardId !== boardId) {
+        return await prisma.savedPost.update({
+          where: { id: existingSave.id },
+          data: { boardId },
+        });
+      }
+
       if (existingSave) {
-        throw new Error("Post already saved");
+        throw new ConflictError("Post already saved");
       }
 
       // Save the post
@@ -902,20 +1759,15 @@ const resolvers = {
         data: {
           userId: user.id,
           postId,
+          boardId,
         },
-        include: {
-          user: true,
-          post: {
-            include: {
-              user: true,
-              comments: {
-                include: {
-                  user: true,
-                },
-              },
-            },
-          },
-        },
+      });
+
+      await notify({
+        userId: post.userId,
+        actorId: user.id,
+        type: "POST_SAVED",
+        postId,
       });
 
       return savedPost;
@@ -936,7 +1788,7 @@ const resolvers = {
       });
 
       if (!savedPost) {
-        throw new Error("Post not saved");
+        throw new NotFoundError("Post not saved");
       }
 
       // Delete the saved post
@@ -959,7 +1811,7 @@ const resolvers = {
       });
 
       if (!comment) {
-        throw new Error("Comment not found");
+        throw new NotFoundError("Comment not found");
       }
 
       // Check if already saved
@@ -971,7 +1823,7 @@ const resolvers = {
       });
 
       if (existingSave) {
-        throw new Error("Comment already saved");
+        throw new ConflictError("Comment already saved");
       }
 
       // Save the comment
@@ -980,15 +1832,14 @@ const resolvers = {
           userId: user.id,
           commentId,
         },
-        include: {
-          user: true,
-          comment: {
-            include: {
-              user: true,
-              post: true,
-            },
-          },
-        },
+      });
+
+      await notify({
+        userId: comment.userId,
+        actorId: user.id,
+        type: "COMMENT_SAVED",
+        postId: comment.postId,
+        commentId,
       });
 
       return savedComment;
@@ -1009,7 +1860,7 @@ const resolvers = {
       });
 
       if (!savedComment) {
-        throw new Error("Comment not saved");
+        throw new NotFoundError("Comment not saved");
       }
 
       // Delete the saved comment
@@ -1021,108 +1872,768 @@ const resolvers = {
     },
 
     /**
-     * Update user role (admin only)
+     * Create a board for organizing saved posts
      */
-    updateUserRole: async (_, { userId, role }, context) => {
+    createBoard: async (_, { name, description, visibility }, context) => {
       const user = requireAuth(context);
 
-      // Get admin user
-      const adminUser = await prisma.user.findUnique({
-        where: { id: user.id },
+      const existingBoard = await prisma.board.findUnique({
+        where: { userId_name: { userId: user.id, name } },
       });
 
-      if (adminUser.role !== "ADMIN") {
-        throw new Error("Admin access required");
+      if (existingBoard) {
+        throw new ConflictError("Board already exists", {
+          name: "You already have a board with this name",
+        });
       }
 
-      // Update user role
-      const updatedUser = await prisma.user.update({
-        where: { id: userId },
-        data: { role },
+      return await prisma.board.create({
+        data: {
+          userId: user.id,
+          name,
+          description,
+          ...(visibility && { visibility }),
+        },
       });
+    },
 
-      return updatedUser;
+    /**
+     * Rename a board or change its description or visibility (owner only)
+     */
+    updateBoard: async (_, { id, name, description, visibility }, context) => {
+      const user = requireAuth(context);
+      const board = await findOwnBoard(id, user.id);
+
+      if (name && name !== board.name) {
+        const existingBoard = await prisma.board.findUnique({
+          where: { userId_name: { userId: user.id, name } },
+        });
+
+        if (existingBoard) {
+          throw new ConflictError("Board already exists", {
+            name: "You already have a board with this name",
+          });
+        }
+      }
+
+      return await prisma.board.update({
+        where: { id },
+        data: {
+          ...(name && { name }),
+          ...(description !== undefined && { description }),
+          ...(visibility && { visibility }),
+        },
+      });
     },
 
     /**
-     * Delete user (admin only)
+     * Delete a board (owner only); its saves stay in the saved list
      */
-    deleteUser: async (_, { userId }, context) => {
+    deleteBoard: async (_, { id }, context) => {
+      const user = requireAuth(context);
+      await findOwnBoard(id, user.id);
+
+      await prisma.board.delete({
+        where: { id },
+      });
+
+      return true;
+    },
+
+    /**
+     * Follow another user
+     */
+    follow: async (_, { userId }, context) => {
+      const user = requireAuth(context);
+
+      if (userId === user.id) {
+        throw new ValidationError("Cannot follow yourself", {
+          userId: "Cannot follow yourself",
+        });
+      }
+
+      const target = await prisma.user.findUnique({
+        where: { id: userId },
+      });
+
+      if (!target) {
+        throw new NotFoundError("User not found");
+      }
+
+      const existingFollow = await prisma.follow.findUnique({
+        where: {
+          followerId_followingId: { followerId: user.id, followingId: userId },
+        },
+      });
+
+      if (existingFollow) {
+        throw new ConflictError("Already following this user");
+      }
+
+      await prisma.follow.create({
+        data: {
+          followerId: user.id,
+          followingId: userId,
+        },
+      });
+
+      await notify({ userId, actorId: user.id, type: "FOLLOW" });
+
+      return target;
+    },
+
+    /**
+     * Stop following a user
+     */
+    unfollow: async (_, { userId }, context) => {
+      const user = requireAuth(context);
+
+      const { count } = await prisma.follow.deleteMany({
+        where: { followerId: user.id, followingId: userId },
+      });
+
+      if (count === 0) {
+        throw new NotFoundError("Not following this user");
+      }
+
+      return true;
+    },
+
+    /**
+     * React to a post or comment; replaces the user's earlier reaction
+     */
+    react: async (_, { targetType, targetId, type }, context) => {
+      const user = requireAuth(context);
+
+      if (!isReactionType(type)) {
+        throw new ValidationError("Unknown reaction type", {
+          type: `Must be one of: ${REACTION_TYPES.join(", ")}`,
+        });
+      }
+
+      await findReactionTarget(targetType, targetId);
+      await setReaction(user.id, targetType, targetId, type);
+
+      const target = await findReactionTarget(targetType, targetId);
+      return {
+        targetType,
+        targetId,
+        reactionCounts: target.reactionCounts,
+        myReaction: type,
+      };
+    },
+
+    /**
+     * Remove the user's reaction from a post or comment
+     */
+    unreact: async (_, { targetType, targetId }, context) => {
+      const user = requireAuth(context);
+
+      await findReactionTarget(targetType, targetId);
+      await removeReaction(user.id, targetType, targetId);
+
+      const target = await findReactionTarget(targetType, targetId);
+      return {
+        targetType,
+        targetId,
+        reactionCounts: target.reactionCounts,
+        myReaction: null,
+      };
+    },
+
+    /**
+     * Report a post to the moderators
+     */
+    reportPost: async (_, { postId, reason, details }, context) => {
+      const user = requireAuth(context);
+
+      const post = await prisma.post.findUnique({
+        where: { id: postId },
+      });
+
+      if (!post) {
+        throw new NotFoundError("Post not found");
+      }
+
+      return await createReport(
+        user.id,
+        { targetType: "POST", postId, targetUserId: post.userId },
+        { reason, details }
+      );
+    },
+
+    /**
+     * Report a comment to the moderators
+     */
+    reportComment: async (_, { commentId, reason, details }, context) => {
+      const user = requireAuth(context);
+
+      const comment = await prisma.comment.findUnique({
+        where: { id: commentId },
+      });
+
+      if (!comment || comment.tombstonedAt) {
+        throw new NotFoundError("Comment not found");
+      }
+
+      return await createReport(
+        user.id,
+        { targetType: "COMMENT", commentId, targetUserId: comment.userId },
+        { reason, details }
+      );
+    },
+
+    /**
+     * Report a user to the moderators
+     */
+    reportUser: async (_, { userId, reason, details }, context) => {
       const user = requireAuth(context);
 
-      // Get admin user
-      const adminUser = await prisma.user.findUnique({
+      const target = await prisma.user.findUnique({
+        where: { id: userId },
+      });
+
+      if (!target) {
+        throw new NotFoundError("User not found");
+      }
+
+      return await createReport(
+        user.id,
+        { targetType: "USER", targetUserId: userId },
+        { reason, details }
+      );
+    },
+
+    /**
+     * Act on a report (report:resolve)
+     * Every open report about the same target is closed with it.
+     */
+    resolveReport: async (_, { id, action, reason }, context) => {
+      const moderator = requireAuth(context);
+
+      const report = await prisma.report.findUnique({
+        where: { id },
+      });
+
+      if (!report) {
+        throw new NotFoundError("Report not found");
+      }
+
+      if (report.status !== "OPEN") {
+        throw new ConflictError("Report already resolved");
+      }
+
+      const post = report.postId
+        ? await prisma.post.findUnique({ where: { id: report.postId } })
+        : null;
+      const comment = report.commentId
+        ? await prisma.comment.findUnique({ where: { id: report.commentId } })
+        : null;
+
+      assertReportActionPossible(report, action, { post, comment });
+      if (action === "DELETE") {
+        const permission = report.postId ? "post:delete:any" : "comment:delete:any";
+        await authorize(context, permission, undefined, `Missing permission: ${permission}`);
+      }
+      if (action === "SUSPEND") {
+        await authorize(context, "user:suspend", undefined, "Missing permission: user:suspend");
+        await assertCanSuspend(report.targetUserId, context);
+      }
+
+      if (action === "HIDE" && post) {
+        await prisma.post.update({
+          where: { id: post.id },
+          data: { hiddenAt: new Date() },
+        });
+        await notifyModeration(
+          post.userId,
+          moderator.id,
+          `Your post "${post.title}" was hidden by a moderator`
+        );
+      } else if (action === "HIDE" && comment) {
+        await prisma.comment.update({
+          where: { id: comment.id },
+          data: { hiddenAt: new Date() },
+        });
+        await notifyModeration(
+          comment.userId,
+          moderator.id,
+          "Your comment was hidden by a moderator"
+        );
+      } else if (action === "DELETE" && post) {
+        await removePost(post, moderator.id);
+        await notifyModeration(
+          post.userId,
+          moderator.id,
+          `Your post "${post.title}" was removed by a moderator`
+        );
+      } else if (action === "DELETE" && comment) {
+        await removeComment(comment, moderator.id);
+        await notifyModeration(
+          comment.userId,
+          moderator.id,
+          "Your comment was removed by a moderator"
+        );
+      } else if (action === "SUSPEND") {
+        await suspendWithNotice({
+          userId: report.targetUserId,
+          reason: reason || `Reported for ${report.reason}`,
+          suspendedById: moderator.id,
+        });
+      }
+
+      // Closed only once the action went through, so a failed one leaves them open
+      await prisma.report.updateMany({
+        where: sameTargetReports(report),
+        data: {
+          status: action === "DISMISS" ? "DISMISSED" : "RESOLVED",
+          action,
+          resolvedById: moderator.id,
+          resolvedAt: new Date(),
+        },
+      });
+
+      const resolvedReport = await prisma.report.findUnique({
+        where: { id },
+      });
+
+      // Keep the reported content as it was before the action
+      await recordAudit(context, {
+        action: "REPORT_RESOLVE",
+        targetType: "Report",
+        targetId: id,
+        before: { ...report, post, comment },
+        after: resolvedReport,
+      });
+
+      return resolvedReport;
+    },
+
+    /**
+     * Mark some of the current user's notifications as read
+     */
+    markNotificationsRead: async (_, { ids }, context) => {
+      const user = requireAuth(context);
+
+      return await markNotificationsRead(user.id, ids);
+    },
+
+    /**
+     * Mark every notification of the current user as read
+     */
+    markAllNotificationsRead: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      return await markNotificationsRead(user.id);
+    },
+
+    /**
+     * Turn notification types on or off for the current user
+     */
+    updateNotificationPreferences: async (_, { preferences }, context) => {
+      const user = requireAuth(context);
+
+      const { notificationPreferences } = await prisma.user.findUnique({
         where: { id: user.id },
+        select: { notificationPreferences: true },
+      });
+
+      const updated = { ...notificationPreferences };
+      for (const { type, enabled } of preferences) {
+        updated[type] = enabled;
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { notificationPreferences: updated },
+      });
+
+      return formatNotificationPreferences(updated);
+    },
+
+    /**
+     * Update user role (user:role:update)
+     */
+    updateUserRole: async (_, { userId, role }, context) => {
+      const user = requireAuth(context);
+
+      const targetUser = await prisma.user.findUnique({
+        where: { id: userId },
+      });
+
+      if (!targetUser) {
+        throw new NotFoundError("User not found");
+      }
+
+      // Update user role
+      const updatedUser = await prisma.user.update({
+        where: { id: userId },
+        data: { role },
       });
 
-      if (adminUser.role !== "ADMIN") {
-        throw new Error("Admin access required");
+      await notifyModeration(
+        userId,
+        user.id,
+        `Your role was changed to ${role}`
+      );
+      await recordAudit(context, {
+        action: "USER_ROLE_UPDATE",
+        targetType: "User",
+        targetId: userId,
+        before: { role: targetUser.role },
+        after: { role },
+      });
+
+      return updatedUser;
+    },
+
+    /**
+     * Suspend a user, indefinitely or until expiresAt (user:suspend)
+     * Replaces a suspension already in force and signs the user out.
+     */
+    suspendUser: async (_, { userId, reason, expiresAt }, context) => {
+      const user = requireAuth(context);
+
+      let expiry = null;
+      if (expiresAt) {
+        expiry = new Date(expiresAt);
+        if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+          throw new ValidationError("Invalid expiry", {
+            expiresAt: "Must be a date in the future",
+          });
+        }
       }
 
+      await assertCanSuspend(userId, context);
+
+      const suspension = await suspendWithNotice({
+        userId,
+        reason,
+        expiresAt: expiry,
+        suspendedById: user.id,
+      });
+
+      await recordAudit(context, {
+        action: "USER_SUSPEND",
+        targetType: "User",
+        targetId: userId,
+        after: suspension,
+      });
+
+      return suspension;
+    },
+
+    /**
+     * Lift a user's suspension early (user:suspend)
+     */
+    unsuspendUser: async (_, { userId }, context) => {
+      const user = requireAuth(context);
+
+      await assertCanSuspend(userId, context, "unsuspend");
+
+      const suspension = await liftSuspension(userId, user.id);
+
+      if (!suspension) {
+        throw new NotFoundError("User is not suspended");
+      }
+
+      await notifyModeration(
+        userId,
+        user.id,
+        "Your suspension was lifted"
+      );
+      await recordAudit(context, {
+        action: "USER_UNSUSPEND",
+        targetType: "User",
+        targetId: userId,
+        after: suspension,
+      });
+
+      return suspension;
+    },
+
+    /**
+     * Delete user (user:delete)
+     */
+    deleteUser: async (_, { userId }, context) => {
+      const user = requireAuth(context);
+
       // Prevent admin from deleting themselves
       if (userId === user.id) {
-        throw new Error("Cannot delete your own account");
+        throw new ForbiddenError("Cannot delete your own account");
       }
 
-      // Delete user (cascade will delete posts, comments, tokens)
-      await prisma.user.delete({
+      const targetUser = await prisma.user.findUnique({
         where: { id: userId },
       });
 
+      if (!targetUser) {
+        throw new NotFoundError("User not found");
+      }
+
+      const posts = await prisma.post.findMany({
+        where: { userId },
+        select: { id: true },
+      });
+
+      // Takes their posts and comments along; restoreUser brings them back
+      await softDeleteUser(userId, user.id);
+
+      await recordAudit(context, {
+        action: "USER_DELETE",
+        targetType: "User",
+        targetId: userId,
+        before: targetUser,
+      });
+
+      for (const post of posts) {
+        await publish(TOPICS.POST_DELETED, { id: post.id });
+      }
+
       return true;
     },
 
     /**
-     * Admin delete any post
+     * Revoke any user's session (session:revoke:any)
+     */
+    adminRevokeSession: async (_, { id }, context) => {
+      const session = await prisma.refreshToken.findFirst({
+        where: { familyId: id },
+        select: { userId: true, userAgent: true, ipAddress: true },
+      });
+
+      const { count } = await prisma.refreshToken.deleteMany({
+        where: { familyId: id },
+      });
+
+      if (count === 0) {
+        throw new NotFoundError("Session not found");
+      }
+
+      await recordAudit(context, {
+        action: "SESSION_REVOKE",
+        targetType: "Session",
+        targetId: id,
+        before: session,
+      });
+
+      return true;
+    },
+
+    /**
+     * Revoke every session of a user (session:revoke:any)
+     */
+    adminRevokeAllSessions: async (_, { userId }, context) => {
+      const { count } = await prisma.refreshToken.deleteMany({
+        where: { userId },
+      });
+
+      await recordAudit(context, {
+        action: "SESSIONS_REVOKE_ALL",
+        targetType: "User",
+        targetId: userId,
+        after: { revokedTokens: count },
+      });
+
+      return true;
+    },
+
+    /**
+     * Delete any post (post:delete:any)
      */
     adminDeletePost: async (_, { postId }, context) => {
       const user = requireAuth(context);
 
-      // Get admin user
-      const adminUser = await prisma.user.findUnique({
-        where: { id: user.id },
+      const post = await prisma.post.findUnique({
+        where: { id: postId },
       });
 
-      if (adminUser.role !== "ADMIN") {
-        throw new Error("Admin access required");
+      if (!post) {
+        throw new NotFoundError("Post not found");
       }
 
-      // Delete post
-      await prisma.post.delete({
-        where: { id: postId },
+      await removePost(post, user.id);
+      await notifyModeration(
+        post.userId,
+        user.id,
+        `Your post "${post.title}" was removed by a moderator`
+      );
+      await recordAudit(context, {
+        action: "POST_DELETE",
+        targetType: "Post",
+        targetId: postId,
+        before: post,
       });
 
       return true;
     },
 
     /**
-     * Admin delete any comment
+     * Delete any comment (comment:delete:any)
      */
     adminDeleteComment: async (_, { commentId }, context) => {
       const user = requireAuth(context);
 
-      // Get admin user
-      const adminUser = await prisma.user.findUnique({
-        where: { id: user.id },
+      const comment = await prisma.comment.findUnique({
+        where: { id: commentId },
       });
 
-      if (adminUser.role !== "ADMIN") {
-        throw new Error("Admin access required");
+      if (!comment) {
+        throw new NotFoundError("Comment not found");
       }
 
-      // Delete comment
-      await prisma.comment.delete({
-        where: { id: commentId },
+      await removeComment(comment, user.id);
+      await notifyModeration(
+        comment.userId,
+        user.id,
+        "Your comment was removed by a moderator"
+      );
+      await recordAudit(context, {
+        action: "COMMENT_DELETE",
+        targetType: "Comment",
+        targetId: commentId,
+        before: comment,
       });
 
       return true;
     },
+
+    /**
+     * Undo a post deletion with the comments deleted along with it (content:restore)
+     */
+    restorePost: async (_, { id }, context) => {
+      const post = await prisma.post.findFirst({
+        where: { id, deletedAt: { not: null } },
+      });
+
+      if (!post) {
+        throw new NotFoundError("Deleted post not found");
+      }
+
+      const author = await prisma.user.findUnique({
+        where: { id: post.userId },
+      });
+
+      if (!author) {
+        throw new ConflictError("The author's account is deleted; restore the user instead");
+      }
+
+      const restoredPost = await restorePost(post);
+
+      await recordAudit(context, {
+        action: "POST_RESTORE",
+        targetType: "Post",
+        targetId: id,
+        before: post,
+        after: restoredPost,
+      });
+
+      return restoredPost;
+    },
+
+    /**
+     * Undo a comment deletion (content:restore)
+     */
+    restoreComment: async (_, { id }, context) => {
+      const comment = await prisma.comment.findFirst({
+        where: { id, deletedAt: { not: null } },
+      });
+
+      if (!comment) {
+        throw new NotFoundError("Deleted comment not found");
+      }
+
+      const post = await prisma.post.findUnique({
+        where: { id: comment.postId },
+      });
+
+      const author = await prisma.user.findUnique({
+        where: { id: comment.userId },
+      });
+
+      if (!post || !author) {
+        throw new ConflictError(
+          `The ${post ? "author's account" : "post"} is deleted; restore it instead`
+        );
+      }
+
+      const restoredComment = await restoreComment(comment);
+
+      await recordAudit(context, {
+        action: "COMMENT_RESTORE",
+        targetType: "Comment",
+        targetId: id,
+        before: comment,
+        after: restoredComment,
+      });
+
+      return restoredComment;
+    },
+
+    /**
+     * Undo a user deletion with the posts and comments deleted along with it (user:restore)
+     */
+    restoreUser: async (_, { id }, context) => {
+      const user = await prisma.user.findFirst({
+        where: { id, deletedAt: { not: null } },
+      });
+
+      if (!user) {
+        throw new NotFoundError("Deleted user not found");
+      }
+
+      const restoredUser = await restoreUser(user);
+
+      await recordAudit(context, {
+        action: "USER_RESTORE",
+        targetType: "User",
+        targetId: id,
+        before: user,
+        after: restoredUser,
+      });
+
+      return restoredUser;
+    },
+  },
+
+  Subscription: {
+    /**
+     * New comments on one post
+     */
+    commentAdded: {
+      subscribe: (_, { postId }) =>
+        subscribe(TOPICS.COMMENT_ADDED, (payload) => payload.postId === postId),
+      resolve: (payload, _, { loaders }) => loaders.commentById.load(payload.id),
+    },
+
+    /**
+     * Posts created by anyone
+     */
+    postCreated: {
+      subscribe: () => subscribe(TOPICS.POST_CREATED),
+      resolve: (payload, _, { loaders }) => loaders.postById.load(payload.id),
+    },
+
+    /**
+     * Ids of deleted posts
+     */
+    postDeleted: {
+      subscribe: () => subscribe(TOPICS.POST_DELETED),
+      resolve: (payload) => payload.id,
+    },
   },
 
   User: {
+    emailVerified: (parent) => Boolean(parent.emailVerifiedAt),
+    isDeleted: (parent) => Boolean(parent.deletedAt),
+    deletionScheduledAt: (parent, _, context) => {
+      return parent.id === context.user?.id ? parent.deletionScheduledAt : null;
+    },
+    avatar: (parent) => getImageUrl(parent.avatar),
+    imageVariants: (parent) => parent.avatarVariants,
     posts: async (parent) => {
       return await prisma.post.findMany({
-        where: { userId: parent.id },
+        where: { userId: parent.id, hiddenAt: null },
         orderBy: { createdAt: "desc" },
       });
     },
@@ -1134,114 +2645,271 @@ const resolvers = {
     },
     savedPosts: async (parent) => {
       return await prisma.savedPost.findMany({
-        where: { userId: parent.id },
+        where: { userId: parent.id, post: { deletedAt: null } },
         orderBy: { createdAt: "desc" },
-        include: {
-          post: {
-            include: {
-              user: true,
-            },
-          },
-        },
       });
     },
-  },
-
-  Post: {
-    user: async (parent) => {
-      return await prisma.user.findUnique({
-        where: { id: parent.userId },
+    followers: async (parent, args) => {
+      return await paginate(prisma.follow, {
+        where: { followingId: parent.id, follower: { deletedAt: null } },
+        args,
+        itemsKey: "follows",
+        defaultLimit: 20,
+        maxLimit: 100,
       });
     },
-    comments: async (parent) => {
-      return await prisma.comment.findMany({
-        where: { postId: parent.id },
-        orderBy: { createdAt: "desc" },
-        include: {
-          user: true,
-        },
+    following: async (parent, args) => {
+      return await paginate(prisma.follow, {
+        where: { followerId: parent.id, following: { deletedAt: null } },
+        args,
+        itemsKey: "follows",
+        defaultLimit: 20,
+        maxLimit: 100,
       });
     },
-    isSaved: async (parent, _, context) => {
-      // If no user is authenticated, post is not saved
-      if (!context.user || !context.user.id) {
-        return false;
-      }
-
-      const savedPost = await prisma.savedPost.findFirst({
+    // Public boards, plus private ones when viewing your own profile
+    boards: async (parent, _, context) => {
+      return await prisma.board.findMany({
         where: {
-          userId: context.user.id,
-          postId: parent.id,
+          userId: parent.id,
+          ...(context.user?.id !== parent.id && { visibility: "PUBLIC" }),
         },
+        orderBy: { createdAt: "desc" },
       });
+    },
+    followerCount: async (parent, _, { loaders }) => {
+      return await loaders.followerCount.load(parent.id);
+    },
+    followingCount: async (parent, _, { loaders }) => {
+      return await loaders.followingCount.load(parent.id);
+    },
+    reportCount: async (parent, _, context) => {
+      if (!(await can(context, "report:read"))) return null;
+      return await context.loaders.userReportCount.load(parent.id);
+    },
+    // Only the user and moderators can see a suspension
+    suspension: async (parent, _, context) => {
+      if (parent.id !== context.user?.id && !(await can(context, "user:suspend"))) {
+        return null;
+      }
+      return await context.loaders.activeSuspension.load(parent.id);
+    },
+    isFollowing: async (parent, _, { loaders }) => {
+      return await loaders.isFollowing.load(parent.id);
+    },
+  },
 
-      return !!savedPost;
+  Post: {
+    image: (parent) => getImageUrl(parent.image),
+    imageVariants: (parent) => parent.imageVariants,
+    user: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.userId);
+    },
+    comments: async (parent, _, { loaders }) => {
+      return await loaders.commentsByPostId.load(parent.id);
+    },
+    isSaved: async (parent, _, { loaders }) => {
+      return await loaders.isPostSaved.load(parent.id);
+    },
+    reactionCounts: (parent) => formatReactionCounts(parent.reactionCounts),
+    myReaction: async (parent, _, { loaders }) => {
+      return await loaders.myPostReaction.load(parent.id);
+    },
+    isHidden: (parent) => Boolean(parent.hiddenAt),
+    // Open report counts are for moderators only
+    reportCount: async (parent, _, context) => {
+      if (!(await can(context, "report:read"))) return null;
+      return await context.loaders.postReportCount.load(parent.id);
     },
   },
 
   Comment: {
-    user: async (parent) => {
-      return await prisma.user.findUnique({
-        where: { id: parent.userId },
-      });
+    user: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.userId);
     },
-    post: async (parent) => {
-      return await prisma.post.findUnique({
-        where: { id: parent.postId },
-      });
+    post: async (parent, _, { loaders }) => {
+      return await loaders.postById.load(parent.postId);
+    },
+    isSaved: async (parent, _, { loaders }) => {
+      return await loaders.isCommentSaved.load(parent.id);
+    },
+    reactionCounts: (parent) => formatReactionCounts(parent.reactionCounts),
+    myReaction: async (parent, _, { loaders }) => {
+      return await loaders.myCommentReaction.load(parent.id);
+    },
+    // Hidden comments keep their place in the thread with the content masked
+    content: async (parent, _, context) => {
+      if (parent.hiddenAt && !(await can(context, "content:hidden", parent))) return "";
+      return parent.content;
+    },
+    isDeleted: (parent) => Boolean(parent.tombstonedAt),
+    isHidden: (parent) => Boolean(parent.hiddenAt),
+    reportCount: async (parent, _, context) => {
+      if (!(await can(context, "report:read"))) return null;
+      return await context.loaders.commentReportCount.load(parent.id);
+    },
+    isEdited: (parent) => Boolean(parent.editedAt),
+    // Edit history is private to the author and moderators
+    revisions: async (parent, _, context) => {
+      if (!(await can(context, "comment:revisions", parent))) return null;
+
+      return await context.loaders.revisionsByCommentId.load(parent.id);
+    },
+    parent: async (parent, _, { loaders }) => {
+      if (!parent.parentId) return null;
+      return await loaders.commentById.load(parent.parentId);
+    },
+    replyCount: async (parent, _, { loaders }) => {
+      return await loaders.replyCount.load(parent.id);
     },
-    isSaved: async (parent, _, context) => {
-      // If no user is authenticated, comment is not saved
-      if (!context.user || !context.user.id) {
-        return false;
+    replies: async (parent, args, { loaders }) => {
+      const firstPageOnly = [args.page, args.after, args.last, args.before]
+        .every((value) => value == null);
+
+      // First page of replies for every comment in the list in one query
+      if (firstPageOnly) {
+        const limit = clampLimit(args.first ?? args.limit, 20, MAX_COMMENT_LIMIT);
+        const rows = await loaders.firstReplies(limit).load(parent.id);
+        return connectionFromFirstRows(rows, {
+          itemsKey: "comments",
+          limit,
+          totalCount: () => loaders.replyCount.load(parent.id),
+        });
       }
 
-      const savedComment = await prisma.savedComment.findFirst({
-        where: {
-          userId: context.user.id,
-          commentId: parent.id,
-        },
+      return await paginate(prisma.comment, {
+        where: { parentId: parent.id },
+        args,
+        itemsKey: "comments",
+        order: "asc",
+        defaultLimit: 20,
+        maxLimit: MAX_COMMENT_LIMIT,
       });
+    },
+  },
 
-      return !!savedComment;
+  ImageVariants: {
+    thumb: (parent) => getImageUrl(parent.thumb),
+    medium: (parent) => getImageUrl(parent.medium),
+    full: (parent) => getImageUrl(parent.full),
+  },
+
+  Follow: {
+    follower: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.followerId);
+    },
+    following: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.followingId);
+    },
+  },
+
+  DataExport: {
+    downloadUrl: (parent) => getDownloadUrl(parent),
+  },
+
+  AuditLogEntry: {
+    actor: async (parent, _, { loaders }) => {
+      return parent.actorId ? await loaders.userById.load(parent.actorId) : null;
+    },
+    before: (parent) => (parent.before == null ? null : JSON.stringify(parent.before)),
+    after: (parent) => (parent.after == null ? null : JSON.stringify(parent.after)),
+  },
+
+  Suspension: {
+    user: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.userId);
+    },
+    suspendedBy: async (parent, _, { loaders }) => {
+      return parent.suspendedById ? await loaders.userById.load(parent.suspendedById) : null;
+    },
+    liftedBy: async (parent, _, { loaders }) => {
+      return parent.liftedById ? await loaders.userById.load(parent.liftedById) : null;
+    },
+    isActive: (parent) => {
+      return !parent.liftedAt && (!parent.expiresAt || parent.expiresAt > new Date());
+    },
+  },
+
+  Report: {
+    reporter: async (parent, _, { loaders }) => {
+      return parent.reporterId ? await loaders.userById.load(parent.reporterId) : null;
+    },
+    post: async (parent, _, { loaders }) => {
+      return parent.postId ? await loaders.postById.load(parent.postId) : null;
+    },
+    comment: async (parent, _, { loaders }) => {
+      return parent.commentId ? await loaders.commentById.load(parent.commentId) : null;
+    },
+    targetUser: async (parent, _, { loaders }) => {
+      return parent.targetUserId ? await loaders.userById.load(parent.targetUserId) : null;
+    },
+    resolvedBy: async (parent, _, { loaders }) => {
+      return parent.resolvedById ? await loaders.userById.load(parent.resolvedById) : null;
+    },
+  },
+
+  Notification: {
+    actor: async (parent, _, { loaders }) => {
+      return parent.actorId ? await loaders.userById.load(parent.actorId) : null;
+    },
+    post: async (parent, _, { loaders }) => {
+      return parent.postId ? await loaders.postById.load(parent.postId) : null;
+    },
+    comment: async (parent, _, { loaders }) => {
+      return parent.commentId ? await loaders.commentById.load(parent.commentId) : null;
+    },
+    message: (parent) => parent.data?.message ?? null,
+    read: (parent) => parent.readAt !== null,
+  },
+
+  ReactionSummary: {
+    reactionCounts: (parent) => formatReactionCounts(parent.reactionCounts),
+  },
+
+  CommentRevision: {
+    editedBy: async (parent, _, { loaders }) => {
+      if (!parent.editedById) return null;
+      return await loaders.userById.load(parent.editedById);
     },
   },
 
   SavedPost: {
-    user: async (parent) => {
-      return await prisma.user.findUnique({
-        where: { id: parent.userId },
-      });
-    },
-    post: async (parent) => {
-      return await prisma.post.findUnique({
-        where: { id: parent.postId },
-        include: {
-          user: true,
-          comments: {
-            include: {
-              user: true,
-            },
-          },
-        },
+    user: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.userId);
+    },
+    post: async (parent, _, { loaders }) => {
+      return await loaders.postById.load(parent.postId);
+    },
+    board: async (parent, _, { loaders }) => {
+      if (!parent.boardId) return null;
+      return await loaders.boardById.load(parent.boardId);
+    },
+  },
+
+  Board: {
+    user: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.userId);
+    },
+    savedPosts: async (parent, args) => {
+      return await paginate(prisma.savedPost, {
+        where: { boardId: parent.id, post: { deletedAt: null } },
+        args,
+        itemsKey: "savedPosts",
+        defaultLimit: 8,
+        maxLimit: 8,
       });
     },
+    postCount: async (parent, _, { loaders }) => {
+      return await loaders.boardPostCount.load(parent.id);
+    },
   },
 
   SavedComment: {
-    user: async (parent) => {
-      return await prisma.user.findUnique({
-        where: { id: parent.userId },
-      });
+    user: async (parent, _, { loaders }) => {
+      return await loaders.userById.load(parent.userId);
     },
-    comment: async (parent) => {
-      return await prisma.comment.findUnique({
-        where: { id: parent.commentId },
-        include: {
-          user: true,
-          post: true,
-        },
-      });
+    comment: async (parent, _, { loaders }) => {
+      return await loaders.commentById.load(parent.commentId);
     },
   },
 };
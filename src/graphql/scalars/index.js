@@ -0,0 +1,68 @@
+import { GraphQLScalarType, Kind } from "graphql";
+import { ValidationError } from "../../utils/errors.js";
+import {
+  checkEmail,
+  checkNonEmptyString,
+  checkUsername,
+  checkPassword,
+} from "../../utils/validation.js";
+
+/**
+ * String scalar with an input rule
+ * Parsing only normalizes; the rule (extensions.validate) is run by the
+ * @constraint directive so every invalid argument is reported at once,
+ * keyed by argument name.
+ */
+const createStringScalar = ({ name, description, normalize = (value) => value, validate }) => {
+  const parse = (value) => {
+    if (typeof value !== "string") {
+      throw new ValidationError(`${name} must be a string`);
+    }
+    return normalize(value);
+  };
+
+  return new GraphQLScalarType({
+    name,
+    description,
+    serialize: (value) => value,
+    parseValue: parse,
+    parseLiteral: (ast) => {
+      if (ast.kind !== Kind.STRING) {
+        throw new ValidationError(`${name} must be a string`);
+      }
+      return parse(ast.value);
+    },
+    extensions: { validate },
+  });
+};
+
+const trim = (value) => value.trim();
+
+const Email = createStringScalar({
+  name: "Email",
+  description: "An email address",
+  normalize: trim,
+  validate: checkEmail,
+});
+
+const NonEmptyString = createStringScalar({
+  name: "NonEmptyString",
+  description: "A string with at least one non-whitespace character",
+  normalize: trim,
+  validate: checkNonEmptyString,
+});
+
+const Username = createStringScalar({
+  name: "Username",
+  description: "3-30 letters, numbers, underscores or dots",
+  normalize: trim,
+  validate: checkUsername,
+});
+
+const Password = createStringScalar({
+  name: "Password",
+  description: "A new password; must satisfy the configured password policy",
+  validate: checkPassword,
+});
+
+export { Email, NonEmptyString, Username, Password };
@@ -1,14 +1,45 @@
 const typeDefs = `#graphql
+  # Validated input scalars; invalid arguments fail with VALIDATION_FAILED
+  # and per-argument messages in extensions.fields
+  scalar Email
+  scalar NonEmptyString
+  scalar Username
+  scalar Password
+
+  directive @constraint(minLength: Int, maxLength: Int) on ARGUMENT_DEFINITION
+
+  # Only users whose role grants the permission may resolve the field
+  # (see src/utils/permissions.js); others get UNAUTHENTICATED or FORBIDDEN
+  directive @requires(permission: String!) on FIELD_DEFINITION
+
   enum Role {
     USER
+    "Handles reports and removes content; cannot manage roles or delete users"
+    MODERATOR
     ADMIN
   }
 
+  enum BoardVisibility {
+    PUBLIC
+    PRIVATE
+  }
+
+  type ImageVariants {
+    thumb: String!
+    medium: String!
+    full: String!
+    width: Int!
+    height: Int!
+    blurhash: String
+  }
+
   type User {
     id: ID!
     username: String!
     email: String
+    emailVerified: Boolean!
     avatar: String
+    imageVariants: ImageVariants
     googleId: String
     role: Role!
     createdAt: String!
@@ -16,6 +47,45 @@ const typeDefs = `#graphql
     posts: [Post!]
     comments: [Comment!]
     savedPosts: [SavedPost!]
+    followers(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): FollowConnection!
+    following(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): FollowConnection!
+    "Public boards, plus private ones on your own profile"
+    boards: [Board!]!
+    followerCount: Int!
+    followingCount: Int!
+    "Whether the current user follows this user"
+    isFollowing: Boolean!
+    "Open reports about this user; null unless you are a moderator or admin"
+    reportCount: Int
+    "The suspension in force; visible to the user and moderators only"
+    suspension: Suspension
+    "Deleted accounts only appear in moderation views (reports, suspensions, audit log)"
+    isDeleted: Boolean!
+    "When the account will be deleted at the user's request; only visible to the user"
+    deletionScheduledAt: String
+  }
+
+  type Follow {
+    id: ID!
+    followerId: String!
+    followingId: String!
+    follower: User!
+    following: User!
+    createdAt: String!
   }
 
   type Post {
@@ -23,10 +93,19 @@ const typeDefs = `#graphql
     title: String!
     description: String
     image: String!
+    imageVariants: ImageVariants
     userId: String!
     user: User!
     comments: [Comment!]
     isSaved: Boolean!
+    tags: [String!]!
+    reactionCounts: [ReactionCount!]!
+    "The current user's reaction type, null when none"
+    myReaction: String
+    "Hidden by a moderator; only the author and moderators can still see it"
+    isHidden: Boolean!
+    "Open reports about this post; null unless you are a moderator or admin"
+    reportCount: Int
     createdAt: String!
     updatedAt: String!
   }
@@ -39,17 +118,237 @@ const typeDefs = `#graphql
     user: User!
     post: Post!
     isSaved: Boolean!
+    reactionCounts: [ReactionCount!]!
+    "The current user's reaction type, null when none"
+    myReaction: String
+    "The comment this one replies to, null for top-level comments"
+    parentId: String
+    parent: Comment
+    "Replies, oldest first"
+    replies(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): CommentConnection!
+    replyCount: Int!
+    "True for a deleted comment kept as a placeholder because it has replies; content is empty"
+    isDeleted: Boolean!
+    "Hidden by a moderator; content is empty except for the author and moderators"
+    isHidden: Boolean!
+    "Open reports about this comment; null unless you are a moderator or admin"
+    reportCount: Int
+    isEdited: Boolean!
+    editedAt: String
+    "Earlier versions, newest first; null unless you are the author or a moderator"
+    revisions: [CommentRevision!]
     createdAt: String!
     updatedAt: String!
   }
 
+  enum ReactionTarget {
+    POST
+    COMMENT
+  }
+
+  "Reactions of one type on a post or comment (types with no reactions are omitted)"
+  type ReactionCount {
+    type: String!
+    count: Int!
+  }
+
+  type ReactionSummary {
+    targetType: ReactionTarget!
+    targetId: ID!
+    reactionCounts: [ReactionCount!]!
+    myReaction: String
+  }
+
+  type CommentRevision {
+    id: ID!
+    commentId: String!
+    "Content before the edit"
+    content: String!
+    editedBy: User
+    "When this version was replaced"
+    createdAt: String!
+  }
+
   type SavedPost {
     id: ID!
     userId: String!
     postId: String!
     user: User!
     post: Post!
+    boardId: String
+    board: Board
+    createdAt: String!
+  }
+
+  "A named collection of saved posts"
+  type Board {
+    id: ID!
+    name: String!
+    description: String
+    visibility: BoardVisibility!
+    userId: String!
+    user: User!
+    savedPosts(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): SavedPostConnection!
+    postCount: Int!
     createdAt: String!
+    updatedAt: String!
+  }
+
+  enum NotificationType {
+    "Someone commented on your post"
+    COMMENT
+    "Someone replied to your comment"
+    REPLY
+    POST_SAVED
+    COMMENT_SAVED
+    "Someone followed you"
+    FOLLOW
+    "A moderator acted on your account or content"
+    MODERATION
+  }
+
+  type Notification {
+    id: ID!
+    type: NotificationType!
+    "Who triggered it; null for deleted users"
+    actor: User
+    post: Post
+    comment: Comment
+    "Details for MODERATION notices"
+    message: String
+    read: Boolean!
+    readAt: String
+    createdAt: String!
+  }
+
+  enum AuditAction {
+    USER_ROLE_UPDATE
+    USER_DELETE
+    USER_SUSPEND
+    USER_UNSUSPEND
+    SESSION_REVOKE
+    SESSIONS_REVOKE_ALL
+    POST_UPDATE
+    POST_DELETE
+    COMMENT_UPDATE
+    COMMENT_DELETE
+    REPORT_RESOLVE
+    POST_RESTORE
+    COMMENT_RESTORE
+    USER_RESTORE
+  }
+
+  "A privileged action; entries are never changed or removed"
+  type AuditLogEntry {
+    id: ID!
+    "Null for system actions; the id stays after the actor is deleted"
+    actorId: String
+    actor: User
+    action: AuditAction!
+    "User, Post, Comment, Report or Session"
+    targetType: String!
+    targetId: String!
+    "JSON snapshot of the target before the action"
+    before: String
+    "JSON snapshot of the target after the action"
+    after: String
+    ipAddress: String
+    userAgent: String
+    createdAt: String!
+  }
+
+  type Suspension {
+    id: ID!
+    user: User!
+    reason: String!
+    "Null for an indefinite suspension"
+    expiresAt: String
+    suspendedBy: User
+    liftedAt: String
+    liftedBy: User
+    isActive: Boolean!
+    createdAt: String!
+  }
+
+  enum ReportTarget {
+    POST
+    COMMENT
+    USER
+  }
+
+  enum ReportReason {
+    SPAM
+    HARASSMENT
+    HATE_SPEECH
+    VIOLENCE
+    NUDITY
+    MISINFORMATION
+    OTHER
+  }
+
+  enum ReportStatus {
+    OPEN
+    DISMISSED
+    RESOLVED
+  }
+
+  enum ReportAction {
+    DISMISS
+    "Hide the post or comment"
+    HIDE
+    "Delete the post or comment"
+    DELETE
+    "Suspend the reported user or the content's author"
+    SUSPEND
+  }
+
+  type Report {
+    id: ID!
+    targetType: ReportTarget!
+    reason: ReportReason!
+    details: String
+    status: ReportStatus!
+    action: ReportAction
+    "Null once the reporter's account is deleted"
+    reporter: User
+    "Null for user reports or once the content is deleted"
+    post: Post
+    comment: Comment
+    "The reported user, or the author of the reported content"
+    targetUser: User
+    resolvedBy: User
+    resolvedAt: String
+    createdAt: String!
+  }
+
+  type NotificationPreference {
+    type: NotificationType!
+    enabled: Boolean!
+  }
+
+  input NotificationPreferenceInput {
+    type: NotificationType!
+    enabled: Boolean!
+  }
+
+  type TrendingTag {
+    tag: String!
+    "Posts using the tag in the period"
+    postCount: Int!
   }
 
   type SavedComment {
@@ -61,73 +360,407 @@ const typeDefs = `#graphql
     createdAt: String!
   }
 
+  # One logged-in device (a refresh token family)
+  type Session {
+    id: ID!
+    userAgent: String
+    ipAddress: String
+    createdAt: String!
+    lastUsedAt: String!
+    expiresAt: String!
+    current: Boolean!
+  }
+
+  enum DataExportStatus {
+    PENDING
+    PROCESSING
+    READY
+    FAILED
+    EXPIRED
+  }
+
+  "An archive of the user's data, built in the background"
+  type DataExport {
+    id: ID!
+    status: DataExportStatus!
+    "Archive size in bytes once READY"
+    size: Int
+    createdAt: String!
+    completedAt: String
+    "When the archive is removed"
+    expiresAt: String
+    "Signed link to the ZIP, valid for a few minutes; ask again for a fresh one. Null unless READY"
+    downloadUrl: String
+  }
+
   type AuthPayload {
     accessToken: String!
     user: User!
   }
 
+  # Relay-style pagination. Connections accept either the legacy
+  # page/limit arguments or first/after/last/before cursors.
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type PostEdge {
+    cursor: String!
+    node: Post!
+  }
+
+  type CommentEdge {
+    cursor: String!
+    node: Comment!
+  }
+
+  type SavedPostEdge {
+    cursor: String!
+    node: SavedPost!
+  }
+
+  type AuditLogEdge {
+    cursor: String!
+    node: AuditLogEntry!
+  }
+
+  type SuspensionEdge {
+    cursor: String!
+    node: Suspension!
+  }
+
+  type ReportEdge {
+    cursor: String!
+    node: Report!
+  }
+
+  type NotificationEdge {
+    cursor: String!
+    node: Notification!
+  }
+
+  type SavedCommentEdge {
+    cursor: String!
+    node: SavedComment!
+  }
+
   type PostConnection {
+    edges: [PostEdge!]!
+    pageInfo: PageInfo!
     posts: [Post!]!
     totalCount: Int!
     totalPages: Int!
     hasMore: Boolean!
-    page: Int!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
   }
 
   type CommentConnection {
+    edges: [CommentEdge!]!
+    pageInfo: PageInfo!
     comments: [Comment!]!
     totalCount: Int!
     totalPages: Int!
     hasMore: Boolean!
-    page: Int!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
+  }
+
+  type FollowEdge {
+    cursor: String!
+    node: Follow!
+  }
+
+  type FollowConnection {
+    edges: [FollowEdge!]!
+    pageInfo: PageInfo!
+    follows: [Follow!]!
+    totalCount: Int!
+    totalPages: Int!
+    hasMore: Boolean!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
   }
 
   type SavedPostConnection {
+    edges: [SavedPostEdge!]!
+    pageInfo: PageInfo!
     savedPosts: [SavedPost!]!
     totalCount: Int!
     totalPages: Int!
     hasMore: Boolean!
-    page: Int!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
   }
 
   type SavedCommentConnection {
+    edges: [SavedCommentEdge!]!
+    pageInfo: PageInfo!
     savedComments: [SavedComment!]!
     totalCount: Int!
     totalPages: Int!
     hasMore: Boolean!
-    page: Int!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
+  }
+
+  type AuditLogConnection {
+    edges: [AuditLogEdge!]!
+    pageInfo: PageInfo!
+    entries: [AuditLogEntry!]!
+    totalCount: Int!
+    totalPages: Int!
+    hasMore: Boolean!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
+  }
+
+  type SuspensionConnection {
+    edges: [SuspensionEdge!]!
+    pageInfo: PageInfo!
+    suspensions: [Suspension!]!
+    totalCount: Int!
+    totalPages: Int!
+    hasMore: Boolean!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
+  }
+
+  type ReportConnection {
+    edges: [ReportEdge!]!
+    pageInfo: PageInfo!
+    reports: [Report!]!
+    totalCount: Int!
+    totalPages: Int!
+    hasMore: Boolean!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
+  }
+
+  type NotificationConnection {
+    edges: [NotificationEdge!]!
+    pageInfo: PageInfo!
+    notifications: [Notification!]!
+    totalCount: Int!
+    totalPages: Int!
+    hasMore: Boolean!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
+  }
+
+  enum SearchSort {
+    RELEVANCE
+    NEWEST
+    MOST_SAVED
+  }
+
+  # Matched fragments wrapped in <mark></mark>
+  type PostSearchHighlight {
+    title: String!
+    description: String
+  }
+
+  type PostSearchEdge {
+    cursor: String!
+    node: Post!
+    rank: Float!
+    saveCount: Int!
+    highlight: PostSearchHighlight!
+  }
+
+  type PostSearchConnection {
+    edges: [PostSearchEdge!]!
+    pageInfo: PageInfo!
+    posts: [Post!]!
+    totalCount: Int!
+    totalPages: Int!
+    hasMore: Boolean!
+    "Current page in page/limit mode, null for cursor requests"
+    page: Int
   }
 
   type Query {
     # User queries
     me: User
     user(id: ID!): User
-    users(page: Int, limit: Int): [User!]!
+    users(page: Int, limit: Int): [User!]! @requires(permission: "user:list")
     isAdmin: Boolean!
+    "Permissions granted by the current user's role"
+    myPermissions: [String!]!
+
+    # Reactions
+    reactionTypes: [String!]!
+
+    "The current user's recent data exports, newest first"
+    myDataExports: [DataExport!]!
+
+    # Session queries
+    mySessions: [Session!]!
+    userSessions(userId: ID!): [Session!]! @requires(permission: "session:read:any")
 
     # Post queries
-    getPosts(page: Int, limit: Int): PostConnection!
-    searchPosts(query: String!, page: Int, limit: Int): PostConnection!
+    getPosts(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): PostConnection!
+    searchPosts(
+      query: String!
+      authorId: ID
+      createdAfter: String
+      createdBefore: String
+      hasComments: Boolean
+      sort: SearchSort = RELEVANCE
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): PostSearchConnection!
     getPost(id: ID!): Post
-    getUserPosts(userId: ID!, page: Int, limit: Int): PostConnection!
+    getUserPosts(
+      userId: ID!
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): PostConnection!
+    postsByTag(
+      tag: String!
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): PostConnection!
+    "Most used tags on posts from the last days (default 7)"
+    trendingTags(limit: Int, days: Int): [TrendingTag!]!
+
+    # Boards
+    myBoards: [Board!]!
+    "Null when the board does not exist or is private to someone else"
+    getBoard(id: ID!): Board
+
+    "Posts from followed users and your own, newest first; until you follow someone, recent posts others reacted to or saved"
+    homeFeed(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): PostConnection!
 
     # Comment queries
-    getComments(postId: ID!, page: Int, limit: Int): CommentConnection!
-    getAllComments(page: Int, limit: Int): CommentConnection!
+    getComments(
+      postId: ID!
+      "Only top-level comments; select replies(first: N) to load their first replies"
+      threaded: Boolean
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): CommentConnection!
+    getAllComments(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): CommentConnection! @requires(permission: "comment:list:any")
 
     # Saved post queries
-    getSavedPosts(page: Int, limit: Int): SavedPostConnection!
+    getSavedPosts(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): SavedPostConnection!
     isPostSaved(postId: ID!): Boolean!
 
     # Saved comment queries
-    getSavedComments(page: Int, limit: Int): SavedCommentConnection!
+    getSavedComments(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): SavedCommentConnection!
     isCommentSaved(commentId: ID!): Boolean!
+
+    # Notifications
+    notifications(
+      unreadOnly: Boolean
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): NotificationConnection!
+    unreadNotificationCount: Int!
+    notificationPreferences: [NotificationPreference!]!
+
+    # Moderation
+    moderationQueue(
+      "Null lists reports of every status"
+      status: ReportStatus = OPEN
+      targetType: ReportTarget
+      reason: ReportReason
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): ReportConnection! @requires(permission: "report:read")
+    "Users with a suspension in force"
+    suspendedUsers(
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): SuspensionConnection! @requires(permission: "user:suspend")
+    "from/to are ISO dates bounding when the action happened"
+    auditLog(
+      actorId: ID
+      action: AuditAction
+      targetType: String
+      targetId: ID
+      from: String
+      to: String
+      page: Int
+      limit: Int
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): AuditLogConnection! @requires(permission: "audit:read")
   }
 
   type Mutation {
     # Local Authentication
-    register(username: String!, password: String!, email: String): AuthPayload!
-    login(username: String!, password: String!): AuthPayload!
+    # Passwords are taken as given, never trimmed, so every path hashes the same bytes
+    register(username: Username!, password: Password!, email: Email): AuthPayload!
+    login(username: NonEmptyString!, password: String! @constraint(minLength: 1)): AuthPayload!
 
     # Refresh Token
     refreshToken: AuthPayload!
@@ -135,39 +768,151 @@ const typeDefs = `#graphql
     # Logout
     logout: Boolean!
 
+    # Session management
+    revokeSession(id: ID!): Boolean!
+    logoutEverywhere: Boolean!
+
+    # Email verification and password reset
+    requestEmailVerification: Boolean!
+    verifyEmail(token: NonEmptyString!): User!
+    requestPasswordReset(email: Email!): Boolean!
+    resetPassword(token: NonEmptyString!, newPassword: Password!): Boolean!
+
     # Profile Management
-    updateProfile(email: String, avatar: String): User!
-    updatePassword(oldPassword: String!, newPassword: String!): Boolean!
+    updateProfile(email: Email, avatar: String): User!
+    updatePassword(oldPassword: String! @constraint(minLength: 1), newPassword: Password!): Boolean!
+
+    # Account deletion and data export
+    "Deletes the account after a grace period; password accounts must confirm their password"
+    requestAccountDeletion(password: String): User!
+    cancelAccountDeletion: User!
+    "Starts building an archive of your data; poll myDataExports for the download link"
+    exportMyData: DataExport!
 
     # Google OAuth (to be handled via REST endpoint, but can link account)
-    linkGoogleAccount(googleId: String!, email: String): User!
+    linkGoogleAccount(googleId: NonEmptyString!, email: Email): User!
 
     # Image Upload
     uploadAvatar(imageBase64: String!): User!
 
     # Post mutations
-    createPost(title: String!, description: String, imageBase64: String!): Post!
-    updatePost(id: ID!, title: String, description: String, imageBase64: String): Post!
+    # Tags: an explicit list replaces the tags; when omitted they follow
+    # the #hashtags in the description
+    createPost(
+      title: NonEmptyString! @constraint(maxLength: 200)
+      description: String @constraint(maxLength: 5000)
+      imageBase64: String!
+      tags: [String!]
+    ): Post!
+    updatePost(
+      id: ID!
+      title: NonEmptyString @constraint(maxLength: 200)
+      description: String @constraint(maxLength: 5000)
+      imageBase64: String
+      tags: [String!]
+    ): Post!
     deletePost(id: ID!): Boolean!
 
     # Comment mutations
-    createComment(postId: ID!, content: String!): Comment!
+    createComment(
+      postId: ID!
+      content: NonEmptyString! @constraint(maxLength: 2000)
+      "Comment being replied to"
+      parentId: ID
+    ): Comment!
+    updateComment(
+      id: ID!
+      content: NonEmptyString! @constraint(maxLength: 2000)
+    ): Comment!
     deleteComment(id: ID!): Boolean!
 
+    # Follows
+    follow(userId: ID!): User!
+    unfollow(userId: ID!): Boolean!
+
     # Saved post mutations
-    savePost(postId: ID!): SavedPost!
+    "Saving an already saved post into another board moves it there"
+    savePost(postId: ID!, boardId: ID): SavedPost!
     unsavePost(postId: ID!): Boolean!
 
+    # Boards
+    createBoard(
+      name: NonEmptyString! @constraint(maxLength: 100)
+      description: String @constraint(maxLength: 500)
+      visibility: BoardVisibility
+    ): Board!
+    updateBoard(
+      id: ID!
+      name: NonEmptyString @constraint(maxLength: 100)
+      description: String @constraint(maxLength: 500)
+      visibility: BoardVisibility
+    ): Board!
+    deleteBoard(id: ID!): Boolean!
+
     # Saved comment mutations
     saveComment(commentId: ID!): SavedComment!
     unsaveComment(commentId: ID!): Boolean!
 
-    # Admin mutations
-    updateUserRole(userId: ID!, role: Role!): User!
-    deleteUser(userId: ID!): Boolean!
-    adminDeletePost(postId: ID!): Boolean!
-    adminDeleteComment(commentId: ID!): Boolean!
+    # Reactions (type is one of reactionTypes)
+    react(targetType: ReactionTarget!, targetId: ID!, type: String!): ReactionSummary!
+    unreact(targetType: ReactionTarget!, targetId: ID!): ReactionSummary!
+
+    # Reports
+    reportPost(
+      postId: ID!
+      reason: ReportReason!
+      details: String @constraint(maxLength: 1000)
+    ): Report!
+    reportComment(
+      commentId: ID!
+      reason: ReportReason!
+      details: String @constraint(maxLength: 1000)
+    ): Report!
+    reportUser(
+      userId: ID!
+      reason: ReportReason!
+      details: String @constraint(maxLength: 1000)
+    ): Report!
+
+    # Notifications (return how many were marked read)
+    markNotificationsRead(ids: [ID!]!): Int!
+    markAllNotificationsRead: Int!
+    "Types left out keep their current setting"
+    updateNotificationPreferences(
+      preferences: [NotificationPreferenceInput!]!
+    ): [NotificationPreference!]!
+
+    # Admin and moderator mutations
+    updateUserRole(userId: ID!, role: Role!): User! @requires(permission: "user:role:update")
+    deleteUser(userId: ID!): Boolean! @requires(permission: "user:delete")
+    "Signs the user out everywhere; expiresAt is an ISO date, omit for indefinite"
+    suspendUser(
+      userId: ID!
+      reason: NonEmptyString! @constraint(maxLength: 500)
+      expiresAt: String
+    ): Suspension! @requires(permission: "user:suspend")
+    unsuspendUser(userId: ID!): Suspension! @requires(permission: "user:suspend")
+    adminRevokeSession(id: ID!): Boolean! @requires(permission: "session:revoke:any")
+    adminRevokeAllSessions(userId: ID!): Boolean! @requires(permission: "session:revoke:any")
+    adminDeletePost(postId: ID!): Boolean! @requires(permission: "post:delete:any")
+    adminDeleteComment(commentId: ID!): Boolean! @requires(permission: "comment:delete:any")
+    "Undo a deletion within the retention period; comments and posts deleted with it come back too"
+    restorePost(id: ID!): Post! @requires(permission: "content:restore")
+    restoreComment(id: ID!): Comment! @requires(permission: "content:restore")
+    restoreUser(id: ID!): User! @requires(permission: "user:restore")
+    "Act on a report; reason is recorded when suspending"
+    resolveReport(
+      id: ID!
+      action: ReportAction!
+      reason: String @constraint(maxLength: 500)
+    ): Report! @requires(permission: "report:resolve")
   }
+  type Subscription {
+    commentAdded(postId: ID!): Comment!
+    postCreated: Post!
+    postDeleted: ID!
+  }
+
 `;
 
 export default typeDefs;
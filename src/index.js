@@ -1,15 +1,31 @@
 import "dotenv/config";
+import { createServer } from "http";
 import express from "express";
 import { ApolloServer } from "@apollo/server";
+import { ApolloServerPluginDrainHttpServer } from "@apollo/server/plugin/drainHttpServer";
+import { makeExecutableSchema } from "@graphql-tools/schema";
 import { expressMiddleware } from "@as-integrations/express5";
+import { WebSocketServer } from "ws";
+import { useServer } from "graphql-ws/use/ws";
 import cookieParser from "cookie-parser";
 import cors from "cors";
 import session from "express-session";
 import passport from "./config/passport.js";
-import { authenticate } from "./middleware/auth.js";
+import { authenticate, authenticateConnection } from "./middleware/auth.js";
 import typeDefs from "./graphql/typeDefs/index.js";
 import resolvers from "./graphql/resolvers/index.js";
+import { createLoaders } from "./graphql/loaders/index.js";
+import {
+  createQueryLimitsPlugin,
+  createSubscribeLimits,
+} from "./graphql/plugins/queryLimits.js";
+import { formatError } from "./graphql/formatError.js";
+import { constraintDirectiveTransformer } from "./graphql/directives/constraint.js";
+import { requiresDirectiveTransformer } from "./graphql/directives/requires.js";
 import { googleCallback } from "./controllers/authController.js";
+import { serveImage } from "./controllers/imageController.js";
+import { downloadExport } from "./controllers/exportController.js";
+import { startJobs } from "./jobs/index.js";
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -65,6 +81,12 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
+// Stored images (post images and avatars)
+app.get("/images/*key", serveImage);
+
+// Data exports, through the signed links from DataExport.downloadUrl
+app.get("/exports/:id", downloadExport);
+
 // Google OAuth routes
 app.get(
   "/auth/google",
@@ -84,9 +106,58 @@ app.get(
 
 // Initialize Apollo Server
 const startServer = async () => {
+  // Permission checks wrap input validation, so they run first
+  const schema = requiresDirectiveTransformer(
+    constraintDirectiveTransformer(makeExecutableSchema({ typeDefs, resolvers }))
+  );
+
+  const httpServer = createServer(app);
+
+  // graphql-ws subscriptions share the /graphql path with HTTP queries
+  const wsServer = new WebSocketServer({ server: httpServer, path: "/graphql" });
+  const wsCleanup = useServer(
+    {
+      schema,
+      // The depth and cost limits of the HTTP plugin apply here too
+      onSubscribe: createSubscribeLimits(schema),
+      context: async ({ connectionParams, extra }) => {
+        const authContext = await authenticateConnection(
+          connectionParams,
+          extra.request
+        );
+        return {
+          ...authContext,
+          loaders: createLoaders(authContext.user, { cache: false }),
+        };
+      },
+      onError: (_ctx, _id, _payload, errors) => {
+        return errors.map((error) => formatError(error.toJSON(), error));
+      },
+      onNext: (_ctx, _id, _payload, _args, result) => {
+        if (!result.errors) return result;
+        return {
+          ...result,
+          errors: result.errors.map((error) => formatError(error.toJSON(), error)),
+        };
+      },
+    },
+    wsServer
+  );
+
   const server = new ApolloServer({
-    typeDefs,
-    resolvers,
+    schema,
+    plugins: [
+      ApolloServerPluginDrainHttpServer({ httpServer }),
+      {
+        serverWillStart: async () => ({
+          drainServer: async () => {
+            await wsCleanup.dispose();
+          },
+        }),
+      },
+      createQueryLimitsPlugin(),
+    ],
+    formatError,
   });
 
   await server.start();
@@ -99,6 +170,7 @@ const startServer = async () => {
         const authContext = await authenticate(req);
         return {
           ...authContext,
+          loaders: createLoaders(authContext.user),
           req,
           res,
         };
@@ -106,9 +178,11 @@ const startServer = async () => {
     })
   );
 
-  app.listen(PORT, "0.0.0.0", () => {
+  httpServer.listen(PORT, "0.0.0.0", () => {
     console.log(`🚀 Server ready`);
   });
+
+  startJobs();
 };
 
 // Start the server
@@ -0,0 +1,73 @@
+import { purgeDeleted } from "../utils/softDelete.js";
+import { deleteDueAccounts } from "../utils/accountDeletion.js";
+import { processDataExports, removeExpiredExports } from "../utils/dataExports.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Run a job now and every `intervalMs`
+ * Failures are logged, a run still going is never overlapped, and the
+ * timer does not keep the process alive.
+ */
+const scheduleJob = (name, job, intervalMs) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+const purgeJob = async () => {
+  const purged = await purgeDeleted();
+  if (purged.users + purged.posts + purged.comments > 0) {
+    console.log(
+      `🧹 Purged ${purged.users} user(s), ${purged.posts} post(s), ${purged.comments} comment(s)`
+    );
+  }
+};
+
+const accountDeletionJob = async () => {
+  const deleted = await deleteDueAccounts();
+  if (deleted > 0) {
+    console.log(`🗑️ Deleted ${deleted} account(s) at the end of their grace period`);
+  }
+};
+
+// Exports are normally built as soon as they are requested; this catches
+// ones left behind by a restart and clears out expired archives
+const dataExportJob = async () => {
+  await processDataExports();
+  await removeExpiredExports();
+};
+
+/**
+ * Start the background jobs in this process
+ * PURGE_INTERVAL_HOURS=0 turns the purge off, e.g. when
+ * `yarn purge:deleted` runs from cron instead.
+ */
+const startJobs = () => {
+  const purgeIntervalHours = Number(process.env.PURGE_INTERVAL_HOURS ?? 24);
+  if (purgeIntervalHours > 0) {
+    scheduleJob("purgeDeleted", purgeJob, purgeIntervalHours * HOUR);
+  }
+
+  scheduleJob("accountDeletions", accountDeletionJob, HOUR);
+  scheduleJob("dataExports", dataExportJob, 5 * MINUTE);
+};
+
+export { startJobs };
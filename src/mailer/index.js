@@ -0,0 +1,50 @@
+import { createSmtpTransport } from "./transports/smtp.js";
+import { createFileTransport } from "./transports/file.js";
+import { createConsoleTransport } from "./transports/console.js";
+
+let transport = null;
+
+/**
+ * Get the configured mail transport (MAIL_TRANSPORT=smtp|file|console)
+ */
+const getTransport = () => {
+  if (transport) return transport;
+
+  const transportName = process.env.MAIL_TRANSPORT || "console";
+
+  if (transportName === "smtp") {
+    transport = createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    });
+  } else if (transportName === "file") {
+    transport = createFileTransport({
+      dir: process.env.MAIL_FILE_DIR || "tmp/mail",
+    });
+  } else if (transportName === "console") {
+    transport = createConsoleTransport();
+  } else {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export { sendMail };
@@ -0,0 +1,53 @@
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+const frontendUrl = (path, token) => {
+  return `${process.env.FRONTEND_URL}${path}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email verification message
+ */
+const verificationEmail = ({ username, token }) => {
+  const link = frontendUrl("/verify-email", token);
+
+  return {
+    subject: "Verify your email address",
+    text: `Hi ${username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(username)},</p><p>Confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`,
+  };
+};
+
+/**
+ * Password reset message
+ */
+const passwordResetEmail = ({ username, token }) => {
+  const link = frontendUrl("/reset-password", token);
+
+  return {
+    subject: "Reset your password",
+    text: `Hi ${username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(username)},</p><p>Someone asked to reset your password. If it was you, open this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you did not ask for this, ignore this email.</p>`,
+  };
+};
+
+/**
+ * Confirmation that the account will be deleted, with how to keep it
+ */
+const accountDeletionEmail = ({ username, scheduledAt }) => {
+  const link = `${process.env.FRONTEND_URL}/settings`;
+  const date = scheduledAt.toUTCString();
+
+  return {
+    subject: "Your account is scheduled for deletion",
+    text: `Hi ${username},\n\nYour account and everything you posted will be deleted on ${date}. To keep your account, sign in and cancel the deletion before then:\n${link}`,
+    html: `<p>Hi ${escapeHtml(username)},</p><p>Your account and everything you posted will be deleted on ${date}. To keep your account, sign in and cancel the deletion before then:</p><p><a href="${link}">${link}</a></p>`,
+  };
+};
+
+export { verificationEmail, passwordResetEmail, accountDeletionEmail };
@@ -0,0 +1,15 @@
+/**
+ * Console transport for local testing: prints messages to stdout
+ */
+const createConsoleTransport = () => {
+  return {
+    name: "console",
+    send: async (message) => {
+      console.log("📧 Mail to:", message.to);
+      console.log("Subject:", message.subject);
+      console.log(message.text);
+    },
+  };
+};
+
+export { createConsoleTransport };
@@ -0,0 +1,21 @@
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * File transport for local testing: each message is written as JSON
+ */
+const createFileTransport = ({ dir }) => {
+  return {
+    name: "file",
+    send: async (message) => {
+      await fsp.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`;
+      await fsp.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    },
+  };
+};
+
+export { createFileTransport };
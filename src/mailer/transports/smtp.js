@@ -0,0 +1,22 @@
+import nodemailer from "nodemailer";
+
+/**
+ * SMTP transport (any provider: SES, SendGrid, Mailgun, a local MailHog...)
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+export { createSmtpTransport };
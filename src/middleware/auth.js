@@ -1,4 +1,9 @@
+import { parse as parseCookies } from "cookie";
+import prisma from "../config/prisma.js";
 import { verifyAccessToken } from "../utils/jwt.js";
+import { UnauthenticatedError } from "../utils/errors.js";
+import { activeSuspensionWhere } from "../utils/suspensions.js";
+
 const authenticate = async (req) => {
   try {
     let token = null;
@@ -22,6 +27,16 @@ const authenticate = async (req) => {
     // Verify token
     const decoded = verifyAccessToken(token);
 
+    // Deleted and suspended accounts are treated as signed out; one
+    // query finds neither
+    const account = await prisma.user.findFirst({
+      where: { id: decoded.userId, suspensions: { none: activeSuspensionWhere() } },
+      select: { id: true },
+    });
+    if (!account) {
+      return { user: null };
+    }
+
     return {
       user: {
         id: decoded.userId,
@@ -33,14 +48,29 @@ const authenticate = async (req) => {
   }
 };
 
+/**
+ * Authenticate a graphql-ws connection with the same access token
+ * Browsers cannot set headers on a WebSocket, so the token may also come
+ * from connectionParams.authorization or the upgrade request's cookies.
+ */
+const authenticateConnection = async (connectionParams, request) => {
+  return authenticate({
+    headers: {
+      authorization:
+        connectionParams?.authorization || request.headers.authorization,
+    },
+    cookies: parseCookies(request.headers.cookie || ""),
+  });
+};
+
 /**
  * Require authentication - throws error if not authenticated
  */
 const requireAuth = (context) => {
   if (!context.user) {
-    throw new Error("Not authenticated");
+    throw new UnauthenticatedError("Not authenticated");
   }
   return context.user;
 };
 
-export { authenticate, requireAuth };
+export { authenticate, authenticateConnection, requireAuth };
@@ -0,0 +1,29 @@
+import { EventEmitter } from "events";
+
+/**
+ * In-process pub/sub (single instance only - use the postgres driver when
+ * running more than one server)
+ */
+const createMemoryDriver = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    name: "memory",
+
+    publish: async (topic, payload) => {
+      emitter.emit(topic, payload);
+    },
+
+    subscribe: async (topic, onMessage) => {
+      emitter.on(topic, onMessage);
+      return () => emitter.off(topic, onMessage);
+    },
+
+    close: async () => {
+      emitter.removeAllListeners();
+    },
+  };
+};
+
+export { createMemoryDriver };
@@ -0,0 +1,85 @@
+import { EventEmitter } from "events";
+import pgPkg from "pg";
+
+const { Client } = pgPkg;
+
+// One channel for every topic; the topic travels in the notification payload
+const CHANNEL = "graphql_events";
+
+/**
+ * Pub/sub over Postgres LISTEN/NOTIFY, shared by every server instance
+ * connected to the same database. NOTIFY payloads are limited to 8000
+ * bytes, so publish ids rather than whole rows.
+ */
+const createPostgresDriver = ({ connectionString }) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  let clientPromise = null;
+
+  const connect = async () => {
+    const client = new Client({
+      connectionString,
+      ssl: { rejectUnauthorized: false },
+    });
+
+    client.on("notification", ({ channel, payload }) => {
+      if (channel !== CHANNEL) return;
+      try {
+        const { topic, data } = JSON.parse(payload);
+        emitter.emit(topic, data);
+      } catch (error) {
+        console.error("Invalid pub/sub notification:", error.message);
+      }
+    });
+
+    // Reconnect on the next publish/subscribe after the connection drops
+    client.on("error", (error) => {
+      console.error("Pub/sub connection error:", error.message);
+      clientPromise = null;
+    });
+
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+    return client;
+  };
+
+  const getClient = () => {
+    if (!clientPromise) {
+      clientPromise = connect().catch((error) => {
+        clientPromise = null;
+        throw error;
+      });
+    }
+    return clientPromise;
+  };
+
+  return {
+    name: "postgres",
+
+    publish: async (topic, payload) => {
+      const client = await getClient();
+      await client.query("SELECT pg_notify($1, $2)", [
+        CHANNEL,
+        JSON.stringify({ topic, data: payload }),
+      ]);
+    },
+
+    subscribe: async (topic, onMessage) => {
+      await getClient();
+      emitter.on(topic, onMessage);
+      return () => emitter.off(topic, onMessage);
+    },
+
+    close: async () => {
+      emitter.removeAllListeners();
+      if (clientPromise) {
+        const client = await clientPromise;
+        clientPromise = null;
+        await client.end();
+      }
+    },
+  };
+};
+
+export { createPostgresDriver };
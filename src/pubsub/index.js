@@ -0,0 +1,102 @@
+import { createMemoryDriver } from "./drivers/memory.js";
+import { createPostgresDriver } from "./drivers/postgres.js";
+
+/**
+ * Topics published by mutations and consumed by Subscription resolvers
+ */
+const TOPICS = {
+  COMMENT_ADDED: "COMMENT_ADDED",
+  POST_CREATED: "POST_CREATED",
+  POST_DELETED: "POST_DELETED",
+};
+
+let driver = null;
+
+/**
+ * Get the configured pub/sub driver (PUBSUB_DRIVER=memory|postgres)
+ */
+const getPubSub = () => {
+  if (driver) return driver;
+
+  const driverName = process.env.PUBSUB_DRIVER || "memory";
+
+  if (driverName === "memory") {
+    driver = createMemoryDriver();
+  } else if (driverName === "postgres") {
+    driver = createPostgresDriver({
+      connectionString: process.env.DIRECT_DATABASE_URL,
+    });
+  } else {
+    throw new Error(`Unknown pub/sub driver: ${driverName}`);
+  }
+
+  return driver;
+};
+
+/**
+ * Publish an event; failures are logged so they never fail the mutation
+ */
+const publish = async (topic, payload) => {
+  try {
+    await getPubSub().publish(topic, payload);
+  } catch (error) {
+    console.error(`Failed to publish ${topic}:`, error.message);
+  }
+};
+
+/**
+ * Async iterator over a topic, for Subscription `subscribe` resolvers
+ * @param {string} topic - key of TOPICS
+ * @param {function} filter - (payload) => boolean, drops events this subscriber should not see
+ */
+const subscribe = (topic, filter = () => true) => {
+  const queue = [];
+  const waiting = [];
+  let done = false;
+  let unsubscribe = null;
+
+  const ready = getPubSub()
+    .subscribe(topic, (payload) => {
+      if (done || !filter(payload)) return;
+
+      const resolve = waiting.shift();
+      if (resolve) {
+        resolve({ value: payload, done: false });
+      } else {
+        queue.push(payload);
+      }
+    })
+    .then((off) => {
+      unsubscribe = off;
+      if (done) off();
+    });
+
+  const finish = async () => {
+    done = true;
+    unsubscribe?.();
+    queue.length = 0;
+    for (const resolve of waiting.splice(0)) {
+      resolve({ value: undefined, done: true });
+    }
+    return { value: undefined, done: true };
+  };
+
+  return {
+    next: async () => {
+      await ready;
+      if (queue.length > 0) return { value: queue.shift(), done: false };
+      if (done) return { value: undefined, done: true };
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    return: finish,
+    throw: async (error) => {
+      await finish();
+      throw error;
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
+
+export { TOPICS, getPubSub, publish, subscribe };
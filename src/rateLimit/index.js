@@ -0,0 +1,142 @@
+import { RateLimitedError } from "../utils/errors.js";
+import { createMemoryStore } from "./stores/memory.js";
+import { createRedisStore } from "./stores/redis.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Sliding-window limits per action
+ * ip: attempts from one address, account: attempts against one username (or user id)
+ */
+const LIMITS = {
+  login: {
+    ip: { limit: Number(process.env.RATE_LIMIT_LOGIN_IP) || 20, windowMs: 15 * MINUTE },
+    account: { limit: Number(process.env.RATE_LIMIT_LOGIN_ACCOUNT) || 10, windowMs: 15 * MINUTE },
+  },
+  register: {
+    ip: { limit: Number(process.env.RATE_LIMIT_REGISTER_IP) || 5, windowMs: 60 * MINUTE },
+  },
+  passwordReset: {
+    ip: { limit: 5, windowMs: 60 * MINUTE },
+    account: { limit: 3, windowMs: 60 * MINUTE },
+  },
+  dataExport: {
+    account: { limit: 3, windowMs: 24 * 60 * MINUTE },
+  },
+};
+
+/**
+ * Temporary account lock after repeated failed logins
+ */
+const LOCKOUT = {
+  maxFailures: Number(process.env.LOGIN_LOCKOUT_FAILURES) || 5,
+  windowMs: 15 * MINUTE,
+  durationMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE,
+};
+
+let store = null;
+
+/**
+ * Get the configured store (RATE_LIMIT_STORE=memory|redis)
+ */
+const getStore = () => {
+  if (store) return store;
+
+  const storeName = process.env.RATE_LIMIT_STORE || "memory";
+
+  if (storeName === "memory") {
+    store = createMemoryStore();
+  } else if (storeName === "redis") {
+    store = createRedisStore({ url: process.env.REDIS_URL });
+  } else {
+    throw new Error(`Unknown rate limit store: ${storeName}`);
+  }
+
+  return store;
+};
+
+const normalizeAccount = (account) => String(account || "").trim().toLowerCase();
+
+/**
+ * Build a RATE_LIMITED error; retryAfter is in seconds
+ */
+const rateLimitedError = (retryAfterMs, context) => {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+
+  context?.res?.set?.("Retry-After", String(retryAfter));
+
+  const error = new RateLimitedError(undefined, retryAfter);
+  error.extensions.http = { status: 429 };
+  return error;
+};
+
+/**
+ * Record an attempt and throw RATE_LIMITED when a window is exceeded
+ * @param {string} action - key of LIMITS
+ * @param {object} subject - { ip, account }
+ * @param {object} context - GraphQL context (used to set Retry-After)
+ */
+const consumeRateLimit = async (action, { ip, account }, context) => {
+  const limits = LIMITS[action];
+  const now = Date.now();
+
+  const checks = [];
+  if (limits.ip && ip) {
+    checks.push([`${action}:ip:${ip}`, limits.ip]);
+  }
+  if (limits.account && account) {
+    checks.push([`${action}:account:${normalizeAccount(account)}`, limits.account]);
+  }
+
+  for (const [key, { limit, windowMs }] of checks) {
+    const { count, oldest } = await getStore().add(key, now, windowMs);
+    if (count > limit) {
+      throw rateLimitedError(oldest + windowMs - now, context);
+    }
+  }
+};
+
+/**
+ * Throw RATE_LIMITED while an account is locked
+ */
+const assertAccountNotLocked = async (account, context) => {
+  const now = Date.now();
+  const until = await getStore().getLock(`login:${normalizeAccount(account)}`, now);
+
+  if (until) {
+    throw rateLimitedError(until - now, context);
+  }
+};
+
+/**
+ * Count a failed login; locks the account once LOCKOUT.maxFailures is reached
+ */
+const recordLoginFailure = async (account) => {
+  const key = normalizeAccount(account);
+  const now = Date.now();
+
+  const { count } = await getStore().add(`login:failures:${key}`, now, LOCKOUT.windowMs);
+
+  if (count >= LOCKOUT.maxFailures) {
+    await getStore().setLock(`login:${key}`, now + LOCKOUT.durationMs);
+    await getStore().clear(`login:failures:${key}`);
+  }
+};
+
+/**
+ * Forget failed logins after a successful one
+ */
+const clearLoginFailures = async (account) => {
+  await getStore().clear(`login:failures:${normalizeAccount(account)}`);
+};
+
+export {
+  LIMITS,
+  LOCKOUT,
+  getStore,
+  rateLimitedError,
+  consumeRateLimit,
+  assertAccountNotLocked,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,59 @@
+/**
+ * In-memory store (single instance only - use the redis store when
+ * running more than one server)
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const events = new Map(); // key -> { timestamps, windowMs }
+  const locks = new Map(); // key -> until (ms)
+
+  const prune = (key, now, windowMs) => {
+    const entry = events.get(key);
+    if (!entry) return [];
+
+    entry.timestamps = entry.timestamps.filter((t) => t > now - windowMs);
+    if (entry.timestamps.length === 0) events.delete(key);
+    return entry.timestamps;
+  };
+
+  // Drop idle keys so memory does not grow with every IP ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of events) prune(key, now, entry.windowMs);
+    for (const [key, until] of locks) {
+      if (until <= now) locks.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    add: async (key, now, windowMs) => {
+      const timestamps = prune(key, now, windowMs);
+      timestamps.push(now);
+      events.set(key, { timestamps, windowMs });
+      return { count: timestamps.length, oldest: timestamps[0] };
+    },
+
+    count: async (key, now, windowMs) => {
+      const timestamps = prune(key, now, windowMs);
+      return { count: timestamps.length, oldest: timestamps[0] ?? null };
+    },
+
+    clear: async (key) => {
+      events.delete(key);
+    },
+
+    setLock: async (key, until) => {
+      locks.set(key, until);
+    },
+
+    getLock: async (key, now) => {
+      const until = locks.get(key);
+      if (!until || until <= now) return null;
+      return until;
+    },
+  };
+};
+
+export { createMemoryStore };
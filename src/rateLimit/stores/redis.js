@@ -0,0 +1,62 @@
+import { randomUUID } from "crypto";
+import Redis from "ioredis";
+
+/**
+ * Redis-compatible store (Redis, Valkey, KeyDB, Dragonfly...)
+ * Each key is a sorted set of event timestamps.
+ */
+const createRedisStore = ({ url, prefix = "rl:" }) => {
+  const client = new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 });
+
+  client.on("error", (error) => {
+    console.error("Rate limit store error:", error.message);
+  });
+
+  const readWindow = (results, countIndex, oldestIndex) => {
+    const count = Number(results[countIndex][1]);
+    const oldest = results[oldestIndex][1];
+    return { count, oldest: oldest.length ? Number(oldest[1]) : null };
+  };
+
+  return {
+    name: "redis",
+
+    add: async (key, now, windowMs) => {
+      const results = await client
+        .multi()
+        .zremrangebyscore(prefix + key, 0, now - windowMs)
+        .zadd(prefix + key, now, `${now}:${randomUUID()}`)
+        .zcard(prefix + key)
+        .zrange(prefix + key, 0, 0, "WITHSCORES")
+        .pexpire(prefix + key, windowMs)
+        .exec();
+      return readWindow(results, 2, 3);
+    },
+
+    count: async (key, now, windowMs) => {
+      const results = await client
+        .multi()
+        .zremrangebyscore(prefix + key, 0, now - windowMs)
+        .zcard(prefix + key)
+        .zrange(prefix + key, 0, 0, "WITHSCORES")
+        .exec();
+      return readWindow(results, 1, 2);
+    },
+
+    clear: async (key) => {
+      await client.del(prefix + key);
+    },
+
+    setLock: async (key, until) => {
+      const ttl = Math.max(until - Date.now(), 1);
+      await client.set(`${prefix}lock:${key}`, String(until), "PX", ttl);
+    },
+
+    getLock: async (key, now) => {
+      const until = Number(await client.get(`${prefix}lock:${key}`));
+      return until > now ? until : null;
+    },
+  };
+};
+
+export { createRedisStore };
@@ -0,0 +1,54 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * Local filesystem storage driver.
+ * Objects are written under a root directory using the key as a relative path.
+ */
+const createLocalDriver = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a key to an absolute path and refuse anything outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, buffer);
+    },
+
+    get: async (key) => {
+      const filePath = resolveKey(key);
+
+      let stat;
+      try {
+        stat = await fsp.stat(filePath);
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+
+      return {
+        body: fs.createReadStream(filePath),
+        contentLength: stat.size,
+        lastModified: stat.mtime,
+      };
+    },
+
+    delete: async (key) => {
+      await fsp.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+export { createLocalDriver };
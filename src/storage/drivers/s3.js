@@ -0,0 +1,71 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...)
+ */
+const createS3Driver = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(accessKeyId && {
+      credentials: { accessKeyId, secretAccessKey },
+    }),
+  });
+
+  return {
+    name: "s3",
+
+    put: async (key, buffer, contentType) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    get: async (key) => {
+      try {
+        const object = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+
+        return {
+          body: object.Body,
+          contentLength: object.ContentLength,
+          lastModified: object.LastModified,
+        };
+      } catch (error) {
+        if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+export { createS3Driver };
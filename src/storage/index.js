@@ -0,0 +1,118 @@
+import { randomUUID } from "crypto";
+import { createLocalDriver } from "./drivers/local.js";
+import { createS3Driver } from "./drivers/s3.js";
+
+const CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+// folder/uuid[-variant].ext - anything else is rejected before it reaches a driver
+const KEY_PATTERN = /^[a-z]+\/[0-9a-f-]{36}(-[a-z]+)?\.(png|jpg|jpeg|gif|webp)$/;
+
+let driver = null;
+
+/**
+ * Get the configured storage driver (STORAGE_DRIVER=local|s3)
+ */
+const getStorage = () => {
+  if (driver) return driver;
+
+  const driverName = process.env.STORAGE_DRIVER || "local";
+
+  if (driverName === "local") {
+    driver = createLocalDriver({
+      rootDir: process.env.STORAGE_LOCAL_DIR || "uploads",
+    });
+  } else if (driverName === "s3") {
+    driver = createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    });
+  } else {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+
+  return driver;
+};
+
+const isStorageKey = (value) => KEY_PATTERN.test(value || "");
+
+const getContentType = (key) => {
+  const extension = key.split(".").pop();
+  return CONTENT_TYPES[extension] || "application/octet-stream";
+};
+
+/**
+ * Store every variant of a processed image
+ * Returns { thumb, medium, full, width, height, blurhash } with storage keys.
+ * Keys are never reused, so a stored object is immutable.
+ */
+const saveImageVariants = async (image, folder) => {
+  const id = randomUUID();
+  const keys = {};
+
+  for (const [name, variant] of Object.entries(image.variants)) {
+    const key = `${folder}/${id}-${name}.${variant.format}`;
+    await getStorage().put(key, variant.buffer, variant.contentType);
+    keys[name] = key;
+  }
+
+  return {
+    ...keys,
+    width: image.width,
+    height: image.height,
+    blurhash: image.blurhash,
+  };
+};
+
+/**
+ * Delete a stored image. Failures are logged, never thrown, so a missing
+ * object can't block the database write that replaced it.
+ */
+const deleteImage = async (key) => {
+  if (!isStorageKey(key)) return;
+
+  try {
+    await getStorage().delete(key);
+  } catch (error) {
+    console.error(`Failed to delete image ${key}:`, error.message);
+  }
+};
+
+/**
+ * Delete an image and all of its variants
+ */
+const deleteImageVariants = async (key, variants) => {
+  const keys = new Set([key, variants?.thumb, variants?.medium, variants?.full]);
+  await Promise.all([...keys].map(deleteImage));
+};
+
+/**
+ * Turn a stored value into a URL the client can load.
+ * Legacy rows still hold base64 data URIs and are returned unchanged.
+ */
+const getImageUrl = (value) => {
+  if (!value) return null;
+  if (!isStorageKey(value)) return value;
+
+  const baseUrl = process.env.PUBLIC_API_URL || "";
+  return `${baseUrl}/images/${value}`;
+};
+
+export {
+  getStorage,
+  isStorageKey,
+  getContentType,
+  saveImageVariants,
+  deleteImage,
+  deleteImageVariants,
+  getImageUrl,
+};
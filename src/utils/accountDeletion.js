@@ -0,0 +1,53 @@
+import prisma from '../config/prisma.js';
+import { softDeleteUser } from './softDelete.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time users have to change their mind after requesting deletion
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Schedule the user's account for deletion after the grace period
+ * Asking again keeps the date already set.
+ */
+const scheduleAccountDeletion = async (user) => {
+  if (user.deletionScheduledAt) return user;
+
+  return await prisma.user.update({
+    where: { id: user.id },
+    data: { deletionScheduledAt: new Date(Date.now() + GRACE_DAYS * DAY_MS) },
+  });
+};
+
+const cancelAccountDeletion = async (userId) => {
+  return await prisma.user.update({
+    where: { id: userId },
+    data: { deletionScheduledAt: null },
+  });
+};
+
+/**
+ * Delete accounts whose grace period is over
+ * They are soft-deleted like any other deletion, so they are purged after
+ * the retention period.
+ * @returns {number} how many accounts were deleted
+ */
+const deleteDueAccounts = async () => {
+  const users = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() } },
+    select: { id: true },
+  });
+
+  for (const user of users) {
+    await softDeleteUser(user.id, user.id);
+  }
+
+  return users.length;
+};
+
+export {
+  GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteDueAccounts,
+};
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+import prisma from '../config/prisma.js';
+
+/**
+ * Single-use tokens for email verification and password reset.
+ * Only an HMAC of the token is stored, so a database leak can't be replayed.
+ */
+
+const TOKEN_TTL_MINUTES = {
+  EMAIL_VERIFICATION: 24 * 60,
+  PASSWORD_RESET: 60,
+};
+
+const signToken = (rawToken) => {
+  const secret = process.env.ACTION_TOKEN_SECRET || process.env.JWT_REFRESH_SECRET;
+  return crypto.createHmac('sha256', secret).update(rawToken).digest('hex');
+};
+
+/**
+ * Create a token and return the raw value to send to the user
+ * Earlier unused tokens of the same type are invalidated.
+ */
+const createActionToken = async (userId, type, { email = null } = {}) => {
+  const rawToken = crypto.randomBytes(32).toString('base64url');
+
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + TOKEN_TTL_MINUTES[type]);
+
+  await prisma.$transaction([
+    prisma.actionToken.deleteMany({
+      where: { userId, type, usedAt: null },
+    }),
+    prisma.actionToken.create({
+      data: {
+        tokenHash: signToken(rawToken),
+        userId,
+        type,
+        email,
+        expiresAt,
+      },
+    }),
+  ]);
+
+  return rawToken;
+};
+
+/**
+ * Consume a token: returns the token row, or null if it is unknown,
+ * expired or already used
+ */
+const consumeActionToken = async (rawToken, type) => {
+  const token = await prisma.actionToken.findUnique({
+    where: { tokenHash: signToken(rawToken || '') },
+  });
+
+  if (!token || token.type !== type || token.usedAt || token.expiresAt < new Date()) {
+    return null;
+  }
+
+  // Guard against two requests using the same token at once
+  const { count } = await prisma.actionToken.updateMany({
+    where: { id: token.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? token : null;
+};
+
+export {
+  createActionToken,
+  consumeActionToken,
+};
@@ -0,0 +1,44 @@
+import prisma from '../config/prisma.js';
+import { getClientInfo } from './clientInfo.js';
+
+// Never copied into a snapshot
+const SENSITIVE_FIELDS = ['password', 'token'];
+
+/**
+ * Row -> plain JSON for the log, without secrets
+ */
+const snapshot = (row) => {
+  if (!row) return undefined;
+
+  const copy = JSON.parse(JSON.stringify(row));
+  for (const field of SENSITIVE_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+};
+
+/**
+ * Append an entry to the audit log for a privileged action
+ * Failures are logged so they never fail an action that already happened.
+ * @param {object} context - GraphQL context; supplies the actor, IP and user agent
+ * @param {object} entry - { action, targetType, targetId, before, after }
+ */
+const recordAudit = async (context, { action, targetType, targetId, before, after }) => {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        actorId: context.user?.id ?? null,
+        action,
+        targetType,
+        targetId,
+        before: snapshot(before),
+        after: snapshot(after),
+        ...getClientInfo(context.req),
+      },
+    });
+  } catch (error) {
+    console.error(`Failed to record ${action} in the audit log:`, error.message);
+  }
+};
+
+export { recordAudit };
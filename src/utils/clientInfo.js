@@ -0,0 +1,15 @@
+/**
+ * Describe the client behind a request (stored with refresh tokens)
+ */
+const getClientInfo = (req) => {
+  const userAgent = req?.headers?.['user-agent'];
+
+  return {
+    userAgent: userAgent ? userAgent.slice(0, 512) : null,
+    ipAddress: req?.ip || null,
+  };
+};
+
+export {
+  getClientInfo,
+};
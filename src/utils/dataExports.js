@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import yazl from 'yazl';
+import prisma, { withDeleted } from '../config/prisma.js';
+import { getStorage, isStorageKey } from '../storage/index.js';
+
+const MINUTE = 60 * 1000;
+
+// Ready archives are kept this long, then removed by the jobs
+const EXPORT_TTL_HOURS = Number(process.env.DATA_EXPORT_TTL_HOURS) || 48;
+// How long one signed download link works (never past the archive's expiry)
+const LINK_TTL_MINUTES = Number(process.env.DATA_EXPORT_LINK_MINUTES) || 15;
+// A PROCESSING export older than this was cut off (e.g. by a restart) and is retried
+const STALE_AFTER_MS = 30 * MINUTE;
+
+const IN_PROGRESS = ['PENDING', 'PROCESSING'];
+
+const signLink = (id, expires) => {
+  const secret =
+    process.env.DATA_EXPORT_SECRET ||
+    process.env.ACTION_TOKEN_SECRET ||
+    process.env.JWT_REFRESH_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${id}.${expires}`).digest('base64url');
+};
+
+/**
+ * Signed, short-lived link to a READY export; null for any other status
+ */
+const getDownloadUrl = (dataExport) => {
+  if (dataExport.status !== 'READY') return null;
+
+  const expires = Math.floor(
+    Math.min(Date.now() + LINK_TTL_MINUTES * MINUTE, dataExport.expiresAt.getTime()) / 1000
+  );
+  const baseUrl = process.env.PUBLIC_API_URL || '';
+
+  return `${baseUrl}/exports/${dataExport.id}?expires=${expires}&signature=${signLink(dataExport.id, expires)}`;
+};
+
+/**
+ * Check the expires/signature query of a download link
+ */
+const verifyDownloadLink = (id, expires, signature) => {
+  if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 <= Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signLink(id, expires));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Stored image (key or legacy data URI) -> { buffer, extension }, null if gone
+ */
+const readImage = async (value) => {
+  if (!value) return null;
+
+  if (isStorageKey(value)) {
+    const object = await getStorage().get(value);
+    if (!object) return null;
+    return { buffer: await streamToBuffer(object.body), extension: value.split('.').pop() };
+  }
+
+  const match = /^data:image\/(\w+);base64,(.+)$/s.exec(value);
+  if (!match) return null;
+  return { buffer: Buffer.from(match[2], 'base64'), extension: match[1] };
+};
+
+const toJson = (data) => Buffer.from(JSON.stringify(data, null, 2));
+
+/**
+ * Build the ZIP: one JSON file per kind of data plus the user's images
+ */
+const buildArchive = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [posts, comments, savedPosts, savedComments, boards] = await Promise.all([
+    // Soft-deleted posts and comments (e.g. ones that went with someone
+    // else's post) are still stored, so they belong in the export
+    prisma.post.findMany({ where: { userId, ...withDeleted }, orderBy: { createdAt: 'asc' } }),
+    prisma.comment.findMany({ where: { userId, ...withDeleted }, orderBy: { createdAt: 'asc' } }),
+    prisma.savedPost.findMany({
+      where: { userId, post: { deletedAt: null } },
+      include: { post: { select: { id: true, title: true } }, board: { select: { name: true } } },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.savedComment.findMany({
+      where: { userId, comment: { deletedAt: null } },
+      include: { comment: { select: { id: true, postId: true, content: true } } },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.board.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }),
+  ]);
+
+  const zip = new yazl.ZipFile();
+  const archive = streamToBuffer(zip.outputStream);
+
+  // The whole archive, images included, is built in memory and stored in one piece
+  const avatar = await readImage(user.avatarVariants?.full || user.avatar);
+  if (avatar) {
+    zip.addBuffer(avatar.buffer, `images/avatar.${avatar.extension}`);
+  }
+
+  const postEntries = [];
+  for (const post of posts) {
+    const image = await readImage(post.imageVariants?.full || post.image);
+    const imagePath = image ? `images/posts/${post.id}.${image.extension}` : null;
+    if (image) {
+      zip.addBuffer(image.buffer, imagePath);
+    }
+
+    postEntries.push({
+      id: post.id,
+      title: post.title,
+      description: post.description,
+      tags: post.tags,
+      image: imagePath,
+      reactionCounts: post.reactionCounts,
+      deletedAt: post.deletedAt,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt,
+    });
+  }
+
+  zip.addBuffer(toJson({
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    emailVerifiedAt: user.emailVerifiedAt,
+    googleLinked: Boolean(user.googleId),
+    role: user.role,
+    avatar: avatar ? `images/avatar.${avatar.extension}` : null,
+    notificationPreferences: user.notificationPreferences,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  }), 'profile.json');
+  zip.addBuffer(toJson(postEntries), 'posts.json');
+  zip.addBuffer(toJson(comments.map((comment) => ({
+    id: comment.id,
+    postId: comment.postId,
+    parentId: comment.parentId,
+    content: comment.content,
+    // Deleted outright, or kept as a placeholder in its thread
+    deletedAt: comment.deletedAt ?? comment.tombstonedAt,
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+  }))), 'comments.json');
+  zip.addBuffer(toJson(savedPosts.map((saved) => ({
+    post: saved.post,
+    board: saved.board?.name ?? null,
+    savedAt: saved.createdAt,
+  }))), 'saved-posts.json');
+  zip.addBuffer(toJson(savedComments.map((saved) => ({
+    comment: saved.comment,
+    savedAt: saved.createdAt,
+  }))), 'saved-comments.json');
+  zip.addBuffer(toJson(boards.map((board) => ({
+    id: board.id,
+    name: board.name,
+    visibility: board.visibility,
+    createdAt: board.createdAt,
+  }))), 'boards.json');
+
+  zip.end();
+  return await archive;
+};
+
+/**
+ * Take the oldest waiting export so no other worker builds it too
+ */
+const claimNextExport = async () => {
+  const dataExport = await prisma.dataExport.findFirst({
+    where: {
+      OR: [
+        { status: 'PENDING' },
+        { status: 'PROCESSING', startedAt: { lt: new Date(Date.now() - STALE_AFTER_MS) } },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (!dataExport) return null;
+
+  const { count } = await prisma.dataExport.updateMany({
+    where: { id: dataExport.id, status: dataExport.status, startedAt: dataExport.startedAt },
+    data: { status: 'PROCESSING', startedAt: new Date() },
+  });
+
+  // Another worker got there first; try the next one
+  return count === 1 ? dataExport : await claimNextExport();
+};
+
+/**
+ * Build and store one export, marking it READY or FAILED
+ */
+const runExport = async (dataExport) => {
+  try {
+    const archive = await buildArchive(dataExport.userId);
+    const storageKey = `exports/${crypto.randomUUID()}.zip`;
+    await getStorage().put(storageKey, archive, 'application/zip');
+
+    const completedAt = new Date();
+    await prisma.dataExport.update({
+      where: { id: dataExport.id },
+      data: {
+        status: 'READY',
+        storageKey,
+        size: archive.length,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + EXPORT_TTL_HOURS * 60 * MINUTE),
+      },
+    });
+  } catch (error) {
+    console.error(`Data export ${dataExport.id} failed:`, error.message);
+    await prisma.dataExport.update({
+      where: { id: dataExport.id },
+      data: { status: 'FAILED', error: error.message, completedAt: new Date() },
+    });
+  }
+};
+
+/**
+ * Build every waiting export
+ * @returns {number} how many were processed
+ */
+const processDataExports = async () => {
+  let processed = 0;
+
+  for (let dataExport = await claimNextExport(); dataExport; dataExport = await claimNextExport()) {
+    await runExport(dataExport);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+/**
+ * Queue an export of the user's data and start building it right away
+ * (the jobs pick it up instead if this process stops first)
+ * @returns {object} the DataExport, or null while another one is in progress
+ */
+const requestDataExport = async (userId) => {
+  const inProgress = await prisma.dataExport.findFirst({
+    where: { userId, status: { in: IN_PROGRESS } },
+  });
+  if (inProgress) return null;
+
+  const dataExport = await prisma.dataExport.create({ data: { userId } });
+
+  processDataExports().catch((error) => {
+    console.error('Processing data exports failed:', error.message);
+  });
+
+  return dataExport;
+};
+
+/**
+ * Delete archives past their expiry
+ * @returns {number} how many were removed
+ */
+const removeExpiredExports = async () => {
+  const expired = await prisma.dataExport.findMany({
+    where: { status: 'READY', expiresAt: { lte: new Date() } },
+  });
+
+  for (const dataExport of expired) {
+    await getStorage().delete(dataExport.storageKey);
+    await prisma.dataExport.update({
+      where: { id: dataExport.id },
+      data: { status: 'EXPIRED', storageKey: null },
+    });
+  }
+
+  return expired.length;
+};
+
+export {
+  getDownloadUrl,
+  verifyDownloadLink,
+  processDataExports,
+  requestDataExport,
+  removeExpiredExports,
+};
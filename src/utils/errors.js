@@ -0,0 +1,88 @@
+import { GraphQLError } from 'graphql';
+
+/**
+ * Typed GraphQL errors. Clients switch on extensions.code instead of
+ * matching message text.
+ */
+const ERROR_CODES = {
+  NOT_FOUND: 'NOT_FOUND',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  FORBIDDEN: 'FORBIDDEN',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+};
+
+class AppError extends GraphQLError {
+  constructor(message, code, extensions = {}) {
+    super(message, { extensions: { code, ...extensions } });
+    this.name = this.constructor.name;
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, ERROR_CODES.NOT_FOUND);
+  }
+}
+
+class UnauthenticatedError extends AppError {
+  constructor(message = 'Not authenticated') {
+    super(message, ERROR_CODES.UNAUTHENTICATED);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Not authorized') {
+    super(message, ERROR_CODES.FORBIDDEN);
+  }
+}
+
+/**
+ * @param {string} message
+ * @param {object} fields - per-field messages, e.g. { email: 'Invalid email' }
+ */
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', fields = undefined) {
+    super(message, ERROR_CODES.VALIDATION_FAILED, fields ? { fields } : {});
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', fields = undefined) {
+    super(message, ERROR_CODES.CONFLICT, fields ? { fields } : {});
+  }
+}
+
+/**
+ * @param {number} retryAfter - seconds until the client may try again
+ */
+class RateLimitedError extends AppError {
+  constructor(message = 'Too many attempts. Please try again later.', retryAfter = 1) {
+    super(message, ERROR_CODES.RATE_LIMITED, { retryAfter });
+  }
+}
+
+/**
+ * @param {Date|null} expiresAt - when the suspension ends, null if indefinite
+ */
+class AccountSuspendedError extends AppError {
+  constructor(message = 'Account suspended', expiresAt = null) {
+    super(message, ERROR_CODES.ACCOUNT_SUSPENDED, {
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    });
+  }
+}
+
+export {
+  ERROR_CODES,
+  AppError,
+  NotFoundError,
+  UnauthenticatedError,
+  ForbiddenError,
+  ValidationError,
+  ConflictError,
+  RateLimitedError,
+  AccountSuspendedError,
+};
@@ -1,3 +1,6 @@
+import { createImageVariants } from './imagePipeline.js';
+import { ValidationError } from './errors.js';
+
 /**
  * Validate base64 image string
  */
@@ -33,24 +36,65 @@ const validateImageSize = (base64String, maxSizeMB = 5) => {
   return sizeInMB <= maxSizeMB;
 };
 
+/**
+ * Decode a base64 data URI into raw bytes
+ */
+const decodeBase64Image = (base64String) => {
+  const base64Data = base64String.replace(/^data:image\/\w+;base64,/, '');
+  return Buffer.from(base64Data, 'base64');
+};
+
+/**
+ * Detect the real image format from the file's magic number
+ * Returns null when the bytes are not one of the accepted formats
+ */
+const detectImageFormat = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  const header = buffer.toString('ascii', 0, 6);
+  if (header === 'GIF87a' || header === 'GIF89a') {
+    return 'gif';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  return null;
+};
+
 /**
  * Process and validate image upload
+ * Returns the resized WebP variants ready for storage
  */
-const processImageUpload = (base64String) => {
+const processImageUpload = async (base64String) => {
   if (!validateBase64Image(base64String)) {
-    throw new Error('Invalid image format. Must be a valid base64 data URI.');
+    throw new ValidationError('Invalid image format. Must be a valid base64 data URI.');
   }
   
   if (!validateImageSize(base64String, 5)) {
-    throw new Error('Image size exceeds 5MB limit.');
+    throw new ValidationError('Image size exceeds 5MB limit.');
+  }
+
+  // The data URI prefix is only a label - check the actual bytes
+  const buffer = decodeBase64Image(base64String);
+  if (!detectImageFormat(buffer)) {
+    throw new ValidationError('Invalid image data. File content is not a supported image.');
   }
   
-  return base64String;
+  return createImageVariants(buffer);
 };
 
 export {
   validateBase64Image,
   getImageFormat,
   validateImageSize,
+  decodeBase64Image,
+  detectImageFormat,
   processImageUpload,
 };
@@ -0,0 +1,77 @@
+import sharp from 'sharp';
+import { encode } from 'blurhash';
+import { ValidationError } from './errors.js';
+
+/**
+ * Variant name -> max width in pixels
+ * thumb: feed grid, medium: feed/detail on mobile, full: detail view
+ */
+const IMAGE_VARIANTS = {
+  thumb: 320,
+  medium: 800,
+  full: 1600,
+};
+
+const WEBP_QUALITY = 80;
+
+/**
+ * Compute a BlurHash placeholder from a tiny copy of the image
+ */
+const createBlurhash = async (pipeline) => {
+  const { data, info } = await pipeline
+    .clone()
+    .resize(32, 32, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+/**
+ * Decode an image once and produce every WebP variant
+ * rotate() bakes in the EXIF orientation; sharp drops all other metadata
+ * (EXIF, GPS, ICC comments) from the output unless asked to keep it.
+ */
+const createImageVariants = async (buffer) => {
+  let pipeline;
+  let metadata;
+  try {
+    pipeline = sharp(buffer, { failOn: 'error' }).rotate();
+    metadata = await pipeline.metadata();
+  } catch (_error) {
+    throw new ValidationError('Invalid image data. Unable to decode image.');
+  }
+
+  // Orientations 5-8 swap width and height once rotated
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const variants = {};
+  for (const [name, maxWidth] of Object.entries(IMAGE_VARIANTS)) {
+    const output = await pipeline
+      .clone()
+      .resize({ width: maxWidth, withoutEnlargement: true })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer();
+
+    variants[name] = {
+      buffer: output,
+      format: 'webp',
+      contentType: 'image/webp',
+    };
+  }
+
+  return {
+    variants,
+    width,
+    height,
+    blurhash: await createBlurhash(pipeline),
+  };
+};
+
+export {
+  IMAGE_VARIANTS,
+  createImageVariants,
+};
@@ -1,3 +1,4 @@
+import { randomUUID } from 'crypto';
 import jwt from 'jsonwebtoken';
 
 /**
@@ -13,12 +14,16 @@ const generateAccessToken = (userId) => {
 
 /**
  * Generate refresh token (long-lived, stored in database)
+ * jwtid keeps tokens unique even when rotated within the same second
  */
 const generateRefreshToken = (userId) => {
   return jwt.sign(
     { userId },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d' }
+    {
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d',
+      jwtid: randomUUID(),
+    }
   );
 };
 
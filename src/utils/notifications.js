@@ -0,0 +1,85 @@
+import prisma from '../config/prisma.js';
+
+/**
+ * Notification types, each of which a user can turn off
+ */
+const NOTIFICATION_TYPES = [
+  'COMMENT',
+  'REPLY',
+  'POST_SAVED',
+  'COMMENT_SAVED',
+  'FOLLOW',
+  'MODERATION',
+];
+
+const isTypeEnabled = (preferences, type) => preferences?.[type] !== false;
+
+/**
+ * Stored preferences -> [{ type, enabled }] for every type
+ */
+const formatNotificationPreferences = (preferences) => {
+  return NOTIFICATION_TYPES.map((type) => ({
+    type,
+    enabled: isTypeEnabled(preferences, type),
+  }));
+};
+
+/**
+ * Notify a user about something another user (or a moderator) did
+ * Skipped when users would notify themselves or turned the type off;
+ * failures are logged so they never fail the mutation.
+ * @param {object} notification - { userId, actorId, type, postId, commentId, data }
+ */
+const notify = async ({ userId, actorId = null, type, postId, commentId, data }) => {
+  if (!userId || userId === actorId) return null;
+
+  try {
+    const recipient = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { notificationPreferences: true },
+    });
+
+    if (!recipient || !isTypeEnabled(recipient.notificationPreferences, type)) {
+      return null;
+    }
+
+    return await prisma.notification.create({
+      data: { userId, actorId, type, postId, commentId, data },
+    });
+  } catch (error) {
+    console.error(`Failed to create ${type} notification:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Tell a user a moderator acted on their account or content
+ */
+const notifyModeration = (userId, actorId, message) => {
+  return notify({ userId, actorId, type: 'MODERATION', data: { message } });
+};
+
+/**
+ * Mark the user's unread notifications as read (all of them without ids)
+ * @returns {number} how many were marked
+ */
+const markNotificationsRead = async (userId, ids) => {
+  const { count } = await prisma.notification.updateMany({
+    where: {
+      userId,
+      readAt: null,
+      ...(ids && { id: { in: ids } }),
+    },
+    data: { readAt: new Date() },
+  });
+
+  return count;
+};
+
+export {
+  NOTIFICATION_TYPES,
+  formatNotificationPreferences,
+  notify,
+  notifyModeration,
+  markNotificationsRead,
+};
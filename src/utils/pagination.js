@@ -0,0 +1,225 @@
+/**
+ * Pagination helpers shared by every connection query.
+ *
+ * Two modes are supported on the same connection types:
+ * - page mode (page/limit): skip/take, kept for existing clients
+ * - cursor mode (first/after, last/before): Relay-style, ordered by
+ *   (createdAt, id) so rows arriving mid-scroll never shift pages
+ * Lists are newest first unless `order: 'asc'` is passed (e.g. replies).
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Clamp a requested page size to [1, maxLimit]
+ */
+const clampLimit = (value, defaultLimit, maxLimit) => {
+  return Math.min(Math.max(Number(value) || defaultLimit, 1), maxLimit);
+};
+
+/**
+ * Encode a row position as an opaque cursor
+ */
+const encodeCursor = (row) => {
+  return Buffer.from(`${row.createdAt.toISOString()}|${row.id}`).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into { createdAt, id }
+ */
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+
+  if (!id || Number.isNaN(date.getTime())) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  return { createdAt: date, id };
+};
+
+/**
+ * Prisma condition for rows strictly after or before a cursor in list order
+ * (after = older than the cursor when the list is newest first)
+ */
+const cursorCondition = (cursor, direction, order) => {
+  const { createdAt, id } = decodeCursor(cursor);
+  const op = (direction === 'after') === (order === 'desc') ? 'lt' : 'gt';
+
+  return {
+    OR: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, id: { [op]: id } },
+    ],
+  };
+};
+
+const isCursorRequest = (args) => {
+  return ['first', 'after', 'last', 'before'].some((key) => args[key] != null);
+};
+
+/**
+ * Count lazily - the resolver only runs it if totalCount/totalPages/hasMore is selected
+ */
+const lazyCount = (delegate, where) => {
+  let promise = null;
+  return () => {
+    if (!promise) promise = delegate.count({ where });
+    return promise;
+  };
+};
+
+/**
+ * Cursor-mode fetch
+ */
+const paginateByCursor = async (delegate, { where, args, order, defaultLimit, maxLimit }) => {
+  const { first, after, last, before } = args;
+
+  if (first != null && last != null) {
+    throw new ValidationError('Cannot use "first" and "last" together');
+  }
+
+  const backward = last != null || (before != null && first == null);
+  const limit = clampLimit(backward ? last : first, defaultLimit, maxLimit);
+
+  const conditions = [where];
+  if (after) conditions.push(cursorCondition(after, 'after', order));
+  if (before) conditions.push(cursorCondition(before, 'before', order));
+
+  const reversed = order === 'desc' ? 'asc' : 'desc';
+  const direction = backward ? reversed : order;
+  const rows = await delegate.findMany({
+    where: { AND: conditions },
+    take: limit + 1,
+    orderBy: [{ createdAt: direction }, { id: direction }],
+  });
+
+  const hasExtra = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backward) items.reverse();
+
+  const edges = items.map((node) => ({ cursor: encodeCursor(node), node }));
+
+  return {
+    items,
+    edges,
+    pageInfo: {
+      hasNextPage: backward ? Boolean(before) : hasExtra,
+      hasPreviousPage: backward ? hasExtra : Boolean(after),
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+    limit,
+    page: null,
+  };
+};
+
+/**
+ * Page-mode fetch
+ */
+const paginateByPage = async (delegate, { where, args, order, defaultLimit, maxLimit }) => {
+  const page = Number(args.page) || 1;
+  const limit = clampLimit(args.limit, defaultLimit, maxLimit);
+  const skip = (page - 1) * limit;
+
+  const items = await delegate.findMany({
+    where,
+    skip,
+    take: limit,
+    orderBy: [{ createdAt: order }, { id: order }],
+  });
+
+  const edges = items.map((node) => ({ cursor: encodeCursor(node), node }));
+
+  return {
+    items,
+    edges,
+    pageInfo: {
+      hasNextPage: null,
+      hasPreviousPage: page > 1,
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+    limit,
+    page,
+    skip,
+  };
+};
+
+/**
+ * Build a connection object for a Prisma model delegate
+ * @param {object} delegate - e.g. prisma.post
+ * @param {object} options
+ * @param {object} options.where - Prisma filter
+ * @param {object} options.args - GraphQL arguments (page/limit or first/after/last/before)
+ * @param {string} options.itemsKey - legacy list field name (posts, comments, ...)
+ * @param {string} options.order - 'desc' (newest first, default) or 'asc'
+ * @param {number} options.defaultLimit
+ * @param {number} options.maxLimit
+ */
+const paginate = async (delegate, {
+  where = {},
+  args,
+  itemsKey,
+  order = 'desc',
+  defaultLimit,
+  maxLimit,
+}) => {
+  const options = { where, args, order, defaultLimit, maxLimit };
+  const result = isCursorRequest(args)
+    ? await paginateByCursor(delegate, options)
+    : await paginateByPage(delegate, options);
+
+  const totalCount = lazyCount(delegate, where);
+
+  // Page mode only knows whether more rows exist once it has counted them
+  if (result.pageInfo.hasNextPage === null) {
+    const { skip, items } = result;
+    result.pageInfo.hasNextPage = async () => skip + items.length < (await totalCount());
+  }
+
+  return {
+    [itemsKey]: result.items,
+    edges: result.edges,
+    pageInfo: result.pageInfo,
+    page: result.page,
+    totalCount,
+    totalPages: async () => Math.ceil((await totalCount()) / result.limit),
+    hasMore: result.page === null
+      ? result.pageInfo.hasNextPage
+      : async () => result.skip + result.items.length < (await totalCount()),
+  };
+};
+
+/**
+ * Build a first-page connection from rows fetched elsewhere, e.g. by a
+ * batched loader that returned up to limit + 1 rows
+ */
+const connectionFromFirstRows = (rows, { itemsKey, limit, totalCount }) => {
+  const items = rows.slice(0, limit);
+  const hasNextPage = rows.length > limit;
+  const edges = items.map((node) => ({ cursor: encodeCursor(node), node }));
+
+  return {
+    [itemsKey]: items,
+    edges,
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage: false,
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+    page: null,
+    totalCount,
+    totalPages: async () => Math.ceil((await totalCount()) / limit),
+    hasMore: hasNextPage,
+  };
+};
+
+export {
+  clampLimit,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  connectionFromFirstRows,
+};
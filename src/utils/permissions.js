@@ -0,0 +1,113 @@
+import { ForbiddenError, UnauthenticatedError } from './errors.js';
+
+/**
+ * Named permissions
+ * Permissions on content come in pairs: `:own` covers the user's own
+ * posts/comments, `:any` everyone's. Check them with the base name and the
+ * resource, e.g. can(context, 'post:delete', post).
+ */
+const PERMISSIONS = [
+  'post:update:own',
+  'post:update:any',
+  'post:delete:own',
+  'post:delete:any',
+  'comment:update:own',
+  'comment:update:any',
+  'comment:delete:own',
+  'comment:delete:any',
+  'comment:list:any',
+  // Edit history of comments
+  'comment:revisions:own',
+  'comment:revisions:any',
+  // Posts and comments hidden by a moderator
+  'content:hidden:own',
+  'content:hidden:any',
+  // Undo soft deletes of posts and comments
+  'content:restore',
+  'report:read',
+  'report:resolve',
+  'user:list',
+  'user:role:update',
+  'user:delete',
+  'user:restore',
+  'user:suspend',
+  'session:read:any',
+  'session:revoke:any',
+  'audit:read',
+];
+
+const OWN_PERMISSIONS = PERMISSIONS.filter((permission) => permission.endsWith(':own'));
+
+const MODERATOR_PERMISSIONS = [
+  ...OWN_PERMISSIONS,
+  'post:delete:any',
+  'comment:delete:any',
+  'comment:revisions:any',
+  'content:hidden:any',
+  'report:read',
+  'report:resolve',
+  'user:suspend',
+];
+
+/**
+ * Role -> granted permissions, lowest role first
+ */
+const ROLE_PERMISSIONS = {
+  USER: new Set(OWN_PERMISSIONS),
+  MODERATOR: new Set(MODERATOR_PERMISSIONS),
+  ADMIN: new Set(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const isPermission = (permission) => PERMISSIONS.includes(permission);
+
+/**
+ * Whether a role ranks above another (e.g. only admins can act on moderators)
+ */
+const outranks = (role, otherRole) => ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+
+const getPermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+/**
+ * Whether the current user has a permission
+ * @param {object} context - GraphQL context (user and loaders)
+ * @param {string} permission - a name from PERMISSIONS, or the base of an
+ *   own/any pair when a resource is given
+ * @param {object} resource - post/comment with a userId, for own/any checks
+ */
+const can = async (context, permission, resource = undefined) => {
+  if (!context.user) return false;
+
+  const viewer = await context.loaders.userById.load(context.user.id);
+  const granted = ROLE_PERMISSIONS[viewer?.role];
+  if (!granted) return false;
+
+  if (granted.has(permission)) return true;
+  if (!resource) return false;
+
+  if (granted.has(`${permission}:any`)) return true;
+  return resource.userId === viewer.id && granted.has(`${permission}:own`);
+};
+
+/**
+ * Like can, but throws UNAUTHENTICATED / FORBIDDEN instead of returning false
+ */
+const authorize = async (context, permission, resource = undefined, message = 'Not authorized') => {
+  if (!context.user) {
+    throw new UnauthenticatedError('Not authenticated');
+  }
+  if (!(await can(context, permission, resource))) {
+    throw new ForbiddenError(message);
+  }
+};
+
+export {
+  PERMISSIONS,
+  ROLES,
+  isPermission,
+  outranks,
+  getPermissions,
+  can,
+  authorize,
+};
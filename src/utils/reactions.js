@@ -0,0 +1,119 @@
+import pkg from '@prisma/client';
+import prisma from '../config/prisma.js';
+
+const { Prisma } = pkg;
+
+/**
+ * Allowed reaction types, in display order (REACTION_TYPES=like,love,...)
+ */
+const REACTION_TYPES = (process.env.REACTION_TYPES || 'like,love,haha,wow,sad,angry')
+  .split(',')
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+// Target type -> table holding the denormalized counts, and the Reaction column
+const TARGETS = {
+  POST: { table: Prisma.raw('"Post"'), column: 'postId' },
+  COMMENT: { table: Prisma.raw('"Comment"'), column: 'commentId' },
+};
+
+const isReactionType = (type) => REACTION_TYPES.includes(type);
+
+/**
+ * Add delta to one type in a target's reactionCounts, atomically
+ */
+const adjustReactionCount = (tx, targetType, targetId, type, delta) => {
+  return tx.$executeRaw`
+    UPDATE ${TARGETS[targetType].table}
+    SET "reactionCounts" = jsonb_set(
+      "reactionCounts",
+      ARRAY[${type}]::text[],
+      to_jsonb(GREATEST(COALESCE(("reactionCounts"->>${type})::int, 0) + ${delta}::int, 0))
+    )
+    WHERE "id" = ${targetId}
+  `;
+};
+
+const reactionWhere = (userId, targetType, targetId) => {
+  const { column } = TARGETS[targetType];
+  return { [`userId_${column}`]: { userId, [column]: targetId } };
+};
+
+/**
+ * Set the user's reaction on a target, replacing a different earlier one
+ */
+const setReaction = async (userId, targetType, targetId, type) => {
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.reaction.findUnique({
+      where: reactionWhere(userId, targetType, targetId),
+    });
+
+    if (existing?.type === type) return;
+
+    if (existing) {
+      await tx.reaction.update({
+        where: { id: existing.id },
+        data: { type },
+      });
+      await adjustReactionCount(tx, targetType, targetId, existing.type, -1);
+    } else {
+      await tx.reaction.create({
+        data: { userId, type, [TARGETS[targetType].column]: targetId },
+      });
+    }
+
+    await adjustReactionCount(tx, targetType, targetId, type, 1);
+  });
+};
+
+/**
+ * Remove the user's reaction on a target, if any
+ */
+const removeReaction = async (userId, targetType, targetId) => {
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.reaction.findUnique({
+      where: reactionWhere(userId, targetType, targetId),
+    });
+
+    if (!existing) return;
+
+    await tx.reaction.delete({ where: { id: existing.id } });
+    await adjustReactionCount(tx, targetType, targetId, existing.type, -1);
+  });
+};
+
+/**
+ * Remove every reaction a user made and take them out of the counts
+ * (the rows would cascade away with the user, leaving the counts stale)
+ */
+const removeUserReactions = async (userId) => {
+  await prisma.$transaction(async (tx) => {
+    const reactions = await tx.reaction.findMany({ where: { userId } });
+
+    for (const reaction of reactions) {
+      const targetType = reaction.postId ? 'POST' : 'COMMENT';
+      const targetId = reaction.postId || reaction.commentId;
+      await adjustReactionCount(tx, targetType, targetId, reaction.type, -1);
+    }
+
+    await tx.reaction.deleteMany({ where: { userId } });
+  });
+};
+
+/**
+ * Stored counts -> [{ type, count }] in REACTION_TYPES order, zeros omitted
+ */
+const formatReactionCounts = (counts) => {
+  return REACTION_TYPES
+    .map((type) => ({ type, count: Number(counts?.[type]) || 0 }))
+    .filter(({ count }) => count > 0);
+};
+
+export {
+  REACTION_TYPES,
+  isReactionType,
+  setReaction,
+  removeReaction,
+  removeUserReactions,
+  formatReactionCounts,
+};
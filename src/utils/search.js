@@ -0,0 +1,270 @@
+import pkg from '@prisma/client';
+import prisma from '../config/prisma.js';
+import { clampLimit } from './pagination.js';
+import { ValidationError } from './errors.js';
+
+const { Prisma } = pkg;
+
+/**
+ * Postgres text search configuration ('simple' does no stemming, which
+ * works for mixed Vietnamese/English content; set e.g. 'english' to stem)
+ */
+const SEARCH_CONFIG = process.env.SEARCH_LANGUAGE || 'simple';
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+/**
+ * Sort columns per sort mode, most significant first (all descending)
+ * Each entry: [column expression, SQL type used to cast cursor values]
+ */
+const SORT_COLUMNS = {
+  RELEVANCE: [
+    [Prisma.sql`m."rank"`, 'real'],
+    [Prisma.sql`m."createdAt"`, 'timestamp'],
+    [Prisma.sql`m."id"`, 'text'],
+  ],
+  NEWEST: [
+    [Prisma.sql`m."createdAt"`, 'timestamp'],
+    [Prisma.sql`m."id"`, 'text'],
+  ],
+  MOST_SAVED: [
+    [Prisma.sql`m."saveCount"`, 'int'],
+    [Prisma.sql`m."createdAt"`, 'timestamp'],
+    [Prisma.sql`m."id"`, 'text'],
+  ],
+};
+
+const SORT_FIELDS = {
+  RELEVANCE: ['rank', 'createdAt', 'id'],
+  NEWEST: ['createdAt', 'id'],
+  MOST_SAVED: ['saveCount', 'createdAt', 'id'],
+};
+
+/**
+ * Recompute the stored tsvector for a post
+ * Title matches weigh more than description matches.
+ */
+const updatePostSearchVector = async (postId) => {
+  await prisma.$executeRaw`
+    UPDATE "Post"
+    SET "searchVector" =
+      setweight(to_tsvector(${SEARCH_CONFIG}::regconfig, coalesce("title", '')), 'A') ||
+      setweight(to_tsvector(${SEARCH_CONFIG}::regconfig, coalesce("description", '')), 'B')
+    WHERE "id" = ${postId}
+  `;
+};
+
+/**
+ * Recompute search vectors for every post that does not have one yet
+ */
+const backfillSearchVectors = async () => {
+  return prisma.$executeRaw`
+    UPDATE "Post"
+    SET "searchVector" =
+      setweight(to_tsvector(${SEARCH_CONFIG}::regconfig, coalesce("title", '')), 'A') ||
+      setweight(to_tsvector(${SEARCH_CONFIG}::regconfig, coalesce("description", '')), 'B')
+    WHERE "searchVector" IS NULL
+  `;
+};
+
+const encodeSearchCursor = (row, sort) => {
+  const values = SORT_FIELDS[sort].map((field) => {
+    return row[field] instanceof Date ? row[field].toISOString() : row[field];
+  });
+  return Buffer.from(JSON.stringify([sort, ...values])).toString('base64url');
+};
+
+const decodeSearchCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (_error) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  const [cursorSort, ...values] = Array.isArray(decoded) ? decoded : [];
+  if (cursorSort !== sort || values.length !== SORT_FIELDS[sort].length) {
+    throw new ValidationError('Invalid cursor');
+  }
+  return values;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid date for ${name}`);
+  }
+  return date;
+};
+
+/**
+ * Build the WHERE clause shared by the page query and the count
+ */
+const buildFilters = ({ hasText, authorId, createdAfter, createdBefore, hasComments }) => {
+  // Deleted posts and posts hidden by moderators never show up in search
+  const filters = [Prisma.sql`p."deletedAt" IS NULL AND p."hiddenAt" IS NULL`];
+
+  if (hasText) {
+    filters.push(Prisma.sql`p."searchVector" @@ q."query"`);
+  }
+  if (authorId) {
+    filters.push(Prisma.sql`p."userId" = ${authorId}`);
+  }
+  if (createdAfter) {
+    filters.push(Prisma.sql`p."createdAt" >= ${parseDate(createdAfter, 'createdAfter').toISOString()}::timestamp`);
+  }
+  if (createdBefore) {
+    filters.push(Prisma.sql`p."createdAt" <= ${parseDate(createdBefore, 'createdBefore').toISOString()}::timestamp`);
+  }
+  if (hasComments != null) {
+    const exists = Prisma.sql`EXISTS (SELECT 1 FROM "Comment" c WHERE c."postId" = p."id" AND c."deletedAt" IS NULL)`;
+    filters.push(hasComments ? exists : Prisma.sql`NOT ${exists}`);
+  }
+
+  return Prisma.join(filters, ' AND ');
+};
+
+/**
+ * Full-text search over posts
+ * Supports page/limit and first/after/last/before like the other connections,
+ * with cursors built from the active sort keys.
+ */
+const searchPosts = async ({
+  query,
+  authorId,
+  createdAfter,
+  createdBefore,
+  hasComments,
+  sort = 'RELEVANCE',
+  page,
+  limit,
+  first,
+  after,
+  last,
+  before,
+}, { defaultLimit, maxLimit }) => {
+  if (!SORT_COLUMNS[sort]) {
+    throw new ValidationError(`Unknown sort: ${sort}`);
+  }
+  if (first != null && last != null) {
+    throw new ValidationError('Cannot use "first" and "last" together');
+  }
+
+  const text = (query || '').trim();
+  const hasText = text.length > 0;
+  const where = buildFilters({ hasText, authorId, createdAfter, createdBefore, hasComments });
+
+  const cursorMode = [first, after, last, before].some((value) => value != null);
+  const backward = cursorMode && (last != null || (before != null && first == null));
+  const pageNumber = Number(page) || 1;
+  const take = clampLimit(cursorMode ? (backward ? last : first) : limit, defaultLimit, maxLimit);
+  const skip = cursorMode ? 0 : (pageNumber - 1) * take;
+
+  // Keyset condition: (sort keys) < cursor going forward, > going backward
+  const columns = SORT_COLUMNS[sort];
+  const columnList = Prisma.join(columns.map(([column]) => column));
+  const cursorConditions = [Prisma.sql`TRUE`];
+  for (const [cursor, op] of [[after, '<'], [before, '>']]) {
+    if (!cursor) continue;
+    const values = decodeSearchCursor(cursor, sort);
+    const valueList = Prisma.join(
+      values.map((value, i) => Prisma.sql`${value}::${Prisma.raw(columns[i][1])}`)
+    );
+    cursorConditions.push(Prisma.sql`(${columnList}) ${Prisma.raw(op)} (${valueList})`);
+  }
+
+  const direction = Prisma.raw(backward ? 'ASC' : 'DESC');
+  const orderBy = Prisma.join(columns.map(([column]) => Prisma.sql`${column} ${direction}`));
+  const rank = hasText ? Prisma.sql`ts_rank(p."searchVector", q."query")` : Prisma.sql`0`;
+
+  const rows = await prisma.$queryRaw`
+    WITH q AS (
+      SELECT websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${text}) AS "query"
+    ),
+    m AS (
+      SELECT
+        p."id",
+        p."createdAt",
+        ${rank}::real AS "rank",
+        (SELECT COUNT(*) FROM "SavedPost" sp WHERE sp."postId" = p."id")::int AS "saveCount"
+      FROM "Post" p CROSS JOIN q
+      WHERE ${where}
+    ),
+    page AS (
+      SELECT * FROM m
+      WHERE ${Prisma.join(cursorConditions, ' AND ')}
+      ORDER BY ${orderBy}
+      LIMIT ${Prisma.raw(String(take + 1))} OFFSET ${Prisma.raw(String(skip))}
+    )
+    SELECT
+      m.*,
+      ts_headline(${SEARCH_CONFIG}::regconfig, p."title", q."query", ${HEADLINE_OPTIONS}) AS "titleHighlight",
+      CASE WHEN p."description" IS NULL THEN NULL
+        ELSE ts_headline(${SEARCH_CONFIG}::regconfig, p."description", q."query", ${HEADLINE_OPTIONS})
+      END AS "descriptionHighlight"
+    FROM page m
+    JOIN "Post" p ON p."id" = m."id"
+    CROSS JOIN q
+    ORDER BY ${orderBy}
+  `;
+
+  const hasExtra = rows.length > take;
+  const matches = rows.slice(0, take);
+  if (backward) matches.reverse();
+
+  // Load full post rows and restore the ranked order
+  const posts = await prisma.post.findMany({
+    where: { id: { in: matches.map((row) => row.id) } },
+  });
+  const postsById = new Map(posts.map((post) => [post.id, post]));
+
+  const edges = matches
+    .filter((row) => postsById.has(row.id))
+    .map((row) => ({
+      cursor: encodeSearchCursor(row, sort),
+      node: postsById.get(row.id),
+      rank: row.rank,
+      saveCount: row.saveCount,
+      highlight: {
+        title: hasText ? row.titleHighlight : postsById.get(row.id).title,
+        description: hasText ? row.descriptionHighlight : postsById.get(row.id).description,
+      },
+    }));
+
+  let countPromise = null;
+  const totalCount = () => {
+    if (!countPromise) {
+      countPromise = prisma.$queryRaw`
+        WITH q AS (
+          SELECT websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${text}) AS "query"
+        )
+        SELECT COUNT(*)::int AS "count" FROM "Post" p CROSS JOIN q WHERE ${where}
+      `.then(([row]) => row.count);
+    }
+    return countPromise;
+  };
+
+  const hasNextPage = cursorMode ? (backward ? Boolean(before) : hasExtra) : hasExtra;
+
+  return {
+    edges,
+    posts: edges.map((edge) => edge.node),
+    pageInfo: {
+      hasNextPage,
+      hasPreviousPage: cursorMode ? (backward ? hasExtra : Boolean(after)) : pageNumber > 1,
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+    page: cursorMode ? null : pageNumber,
+    totalCount,
+    totalPages: async () => Math.ceil((await totalCount()) / take),
+    hasMore: hasNextPage,
+  };
+};
+
+export {
+  SEARCH_CONFIG,
+  updatePostSearchVector,
+  backfillSearchVectors,
+  searchPosts,
+};
@@ -0,0 +1,195 @@
+import prisma from '../config/prisma.js';
+import { removeUserReactions } from './reactions.js';
+import { getStorage, deleteImageVariants } from '../storage/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Soft-deleted rows are kept this long for restores, then purged
+const RETENTION_DAYS = Number(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+const RESTORED = { deletedAt: null, deletedById: null };
+
+/*
+ * Rows deleted together share one deletedAt, which is how a restore finds
+ * the comments that went with their post, or the content that went with
+ * its user, without bringing back things deleted on their own earlier.
+ */
+
+/**
+ * Soft-delete a post together with its comments
+ */
+const softDeletePost = async (postId, deletedById) => {
+  const deleted = { deletedAt: new Date(), deletedById };
+
+  await prisma.$transaction([
+    prisma.post.update({ where: { id: postId }, data: deleted }),
+    prisma.comment.updateMany({
+      where: { postId, deletedAt: null },
+      data: deleted,
+    }),
+  ]);
+};
+
+/**
+ * Soft-delete a single comment (replies keep pointing at it)
+ */
+const softDeleteComment = async (commentId, deletedById) => {
+  await prisma.comment.update({
+    where: { id: commentId },
+    data: { deletedAt: new Date(), deletedById },
+  });
+};
+
+/**
+ * Soft-delete a user with their posts and comments, plus the comments on
+ * their posts, and sign them out everywhere
+ */
+const softDeleteUser = async (userId, deletedById) => {
+  const deleted = { deletedAt: new Date(), deletedById };
+
+  await prisma.$transaction([
+    prisma.user.update({ where: { id: userId }, data: deleted }),
+    prisma.post.updateMany({
+      where: { userId, deletedAt: null },
+      data: deleted,
+    }),
+    prisma.comment.updateMany({
+      where: { deletedAt: null, OR: [{ userId }, { post: { userId } }] },
+      data: deleted,
+    }),
+    prisma.refreshToken.deleteMany({ where: { userId } }),
+  ]);
+};
+
+/**
+ * Bring back a soft-deleted post and the comments deleted with it
+ */
+const restorePost = async (post) => {
+  const [restoredPost] = await prisma.$transaction([
+    prisma.post.update({ where: { id: post.id }, data: RESTORED }),
+    prisma.comment.updateMany({
+      where: { postId: post.id, deletedAt: post.deletedAt },
+      data: RESTORED,
+    }),
+  ]);
+
+  return restoredPost;
+};
+
+/**
+ * Bring back a soft-deleted comment
+ * Tombstoned ancestors deleted when their last reply went come back as
+ * placeholders again.
+ */
+const restoreComment = async (comment) => {
+  const restoredComment = await prisma.comment.update({
+    where: { id: comment.id },
+    data: RESTORED,
+  });
+
+  let parentId = comment.parentId;
+  while (parentId) {
+    const parent = await prisma.comment.findFirst({
+      where: { id: parentId, deletedAt: { not: null }, tombstonedAt: { not: null } },
+    });
+    if (!parent) break;
+
+    await prisma.comment.update({ where: { id: parent.id }, data: RESTORED });
+    parentId = parent.parentId;
+  }
+
+  return restoredComment;
+};
+
+/**
+ * Bring back a soft-deleted user and the content deleted with them
+ */
+const restoreUser = async (user) => {
+  // A restore also overrides the user's own deletion request
+  const [restoredUser] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: { ...RESTORED, deletionScheduledAt: null },
+    }),
+    prisma.post.updateMany({
+      where: { userId: user.id, deletedAt: user.deletedAt },
+      data: RESTORED,
+    }),
+    prisma.comment.updateMany({
+      where: {
+        deletedAt: user.deletedAt,
+        OR: [{ userId: user.id }, { post: { userId: user.id } }],
+      },
+      data: RESTORED,
+    }),
+  ]);
+
+  return restoredUser;
+};
+
+/**
+ * Permanently delete rows soft-deleted more than `retentionDays` ago,
+ * with their stored images and data exports
+ * @returns {object} { users, posts, comments } - how many rows were purged
+ */
+const purgeDeleted = async (retentionDays = RETENTION_DAYS) => {
+  const expired = { deletedAt: { lt: new Date(Date.now() - retentionDays * DAY_MS) } };
+
+  const users = await prisma.user.findMany({
+    where: expired,
+    select: { id: true, avatar: true, avatarVariants: true },
+  });
+  const userIds = users.map((user) => user.id);
+
+  // A purged user's posts go with them through the cascade
+  const posts = await prisma.post.findMany({
+    where: {
+      deletedAt: { not: null },
+      OR: [expired, { userId: { in: userIds } }],
+    },
+    select: { id: true, image: true, imageVariants: true },
+  });
+
+  const dataExports = await prisma.dataExport.findMany({
+    where: { userId: { in: userIds }, storageKey: { not: null } },
+    select: { storageKey: true },
+  });
+
+  // Their reactions on content that stays must come off its counts
+  for (const userId of userIds) {
+    await removeUserReactions(userId);
+  }
+
+  const [comments, purgedPosts, purgedUsers] = await prisma.$transaction([
+    prisma.comment.deleteMany({ where: expired }),
+    prisma.post.deleteMany({ where: { id: { in: posts.map((post) => post.id) } } }),
+    prisma.user.deleteMany({ where: { id: { in: userIds } } }),
+  ]);
+
+  for (const post of posts) {
+    await deleteImageVariants(post.image, post.imageVariants);
+  }
+  for (const user of users) {
+    await deleteImageVariants(user.avatar, user.avatarVariants);
+  }
+  for (const dataExport of dataExports) {
+    await getStorage().delete(dataExport.storageKey);
+  }
+
+  return {
+    users: purgedUsers.count,
+    posts: purgedPosts.count,
+    comments: comments.count,
+  };
+};
+
+export {
+  RETENTION_DAYS,
+  softDeletePost,
+  softDeleteComment,
+  softDeleteUser,
+  restorePost,
+  restoreComment,
+  restoreUser,
+  purgeDeleted,
+};
@@ -0,0 +1,63 @@
+import prisma from '../config/prisma.js';
+
+/**
+ * Where-clause for suspensions in force: not lifted, and indefinite or
+ * with an expiry still in the future
+ */
+const activeSuspensionWhere = (now = new Date()) => ({
+  liftedAt: null,
+  OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+});
+
+/**
+ * The suspension currently in force for a user, or null
+ */
+const getActiveSuspension = async (userId) => {
+  return await prisma.suspension.findFirst({
+    where: { userId, ...activeSuspensionWhere() },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Suspend a user and sign them out everywhere
+ * A suspension already in force is lifted and replaced by this one.
+ * Access tokens still in flight are rejected by authenticate.
+ */
+const suspendAccount = async ({ userId, reason, expiresAt = null, suspendedById }) => {
+  const now = new Date();
+
+  const [, suspension] = await prisma.$transaction([
+    prisma.suspension.updateMany({
+      where: { userId, ...activeSuspensionWhere(now) },
+      data: { liftedAt: now, liftedById: suspendedById },
+    }),
+    prisma.suspension.create({
+      data: { userId, reason, expiresAt, suspendedById },
+    }),
+    prisma.refreshToken.deleteMany({ where: { userId } }),
+  ]);
+
+  return suspension;
+};
+
+/**
+ * Lift the user's suspension early
+ * @returns {object|null} the lifted suspension, null if none was in force
+ */
+const liftSuspension = async (userId, liftedById) => {
+  const suspension = await getActiveSuspension(userId);
+  if (!suspension) return null;
+
+  return await prisma.suspension.update({
+    where: { id: suspension.id },
+    data: { liftedAt: new Date(), liftedById },
+  });
+};
+
+export {
+  activeSuspensionWhere,
+  getActiveSuspension,
+  suspendAccount,
+  liftSuspension,
+};
@@ -0,0 +1,73 @@
+import prisma from '../config/prisma.js';
+import { ValidationError } from './errors.js';
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 50;
+
+const TAG_PATTERN = /^[\p{L}\p{N}_]+$/u;
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]+)/gu;
+
+const normalizeTag = (tag) => tag.trim().replace(/^#/, '').toLowerCase();
+
+/**
+ * Validate explicitly set tags and return them normalized and de-duplicated
+ */
+const normalizeTags = (tags) => {
+  const normalized = [...new Set(tags.map(normalizeTag))];
+
+  if (normalized.length > MAX_TAGS) {
+    throw new ValidationError('Too many tags', {
+      tags: `At most ${MAX_TAGS} tags`,
+    });
+  }
+
+  const invalid = normalized.find((tag) => {
+    return tag.length === 0 || tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag);
+  });
+  if (invalid !== undefined) {
+    throw new ValidationError('Invalid tag', {
+      tags: `Tags must be 1-${MAX_TAG_LENGTH} letters, numbers or underscores`,
+    });
+  }
+
+  return normalized;
+};
+
+/**
+ * Collect #hashtags from text (extra or overlong ones are ignored)
+ */
+const parseTags = (text) => {
+  const tags = [...(text || '').matchAll(HASHTAG_PATTERN)]
+    .map(([, tag]) => tag.toLowerCase())
+    .filter((tag) => tag.length <= MAX_TAG_LENGTH);
+
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+};
+
+/**
+ * Most used tags on visible posts created in the last `days` days
+ */
+const getTrendingTags = async ({ limit = 10, days = 7 } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const rows = await prisma.$queryRaw`
+    SELECT tag, COUNT(*)::int AS "count"
+    FROM "Post" p, unnest(p."tags") AS tag
+    WHERE p."createdAt" >= ${since.toISOString()}::timestamp
+      AND p."deletedAt" IS NULL
+      AND p."hiddenAt" IS NULL
+    GROUP BY tag
+    ORDER BY "count" DESC, tag ASC
+    LIMIT ${limit}
+  `;
+
+  return rows.map((row) => ({ tag: row.tag, postCount: row.count }));
+};
+
+export {
+  MAX_TAGS,
+  normalizeTag,
+  normalizeTags,
+  parseTags,
+  getTrendingTags,
+};
@@ -0,0 +1,95 @@
+/**
+ * Input rules shared by the GraphQL scalars and the @constraint directive.
+ * Each check returns an error message, or null when the value is valid.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 254;
+
+// Letters (any script), digits, underscores and dots; Google sign-ups
+// derive usernames from display names, so non-Latin letters are allowed
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.]+$/u;
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 30;
+
+const envFlag = (value, fallback) => {
+  if (value == null || value === '') return fallback;
+  return value === 'true';
+};
+
+/**
+ * Password policy, configurable through PASSWORD_* env vars
+ */
+const PASSWORD_POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: Number(process.env.PASSWORD_MAX_LENGTH) || 128,
+  requireLowercase: envFlag(process.env.PASSWORD_REQUIRE_LOWERCASE, false),
+  requireUppercase: envFlag(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+  requireNumber: envFlag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: envFlag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+};
+
+const checkEmail = (value) => {
+  if (value.length > EMAIL_MAX_LENGTH || !EMAIL_PATTERN.test(value)) {
+    return 'Must be a valid email address';
+  }
+  return null;
+};
+
+const checkNonEmptyString = (value) => {
+  return value.trim().length === 0 ? 'Must not be empty' : null;
+};
+
+const checkUsername = (value) => {
+  if (value.length < USERNAME_MIN_LENGTH || value.length > USERNAME_MAX_LENGTH) {
+    return `Must be between ${USERNAME_MIN_LENGTH} and ${USERNAME_MAX_LENGTH} characters`;
+  }
+  if (!USERNAME_PATTERN.test(value)) {
+    return 'May only contain letters, numbers, underscores and dots';
+  }
+  return null;
+};
+
+const checkPassword = (value, policy = PASSWORD_POLICY) => {
+  if (value.length < policy.minLength) {
+    return `Must be at least ${policy.minLength} characters`;
+  }
+  if (value.length > policy.maxLength) {
+    return `Must be at most ${policy.maxLength} characters`;
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    return 'Must contain a lowercase letter';
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    return 'Must contain an uppercase letter';
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    return 'Must contain a number';
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    return 'Must contain a symbol';
+  }
+  return null;
+};
+
+/**
+ * Length check for @constraint(minLength, maxLength)
+ */
+const checkLength = (value, { minLength, maxLength }) => {
+  if (minLength != null && value.length < minLength) {
+    return `Must be at least ${minLength} characters`;
+  }
+  if (maxLength != null && value.length > maxLength) {
+    return `Must be at most ${maxLength} characters`;
+  }
+  return null;
+};
+
+export {
+  PASSWORD_POLICY,
+  checkEmail,
+  checkNonEmptyString,
+  checkUsername,
+  checkPassword,
+  checkLength,
+};